@@ -5,6 +5,7 @@ document.addEventListener("DOMContentLoaded", async () => { /* Wait until the DO
   /* Cache DOM elements for repeated use */
   const elModel = document.getElementById("select-model"); /* Dropdown for selecting the AI model */
   const elEngine = document.getElementById("select-engine"); /* Dropdown for selecting generation engine */
+  const elStoryboard = document.getElementById("checkbox-storyboard"); /* Checkbox for multi-shot storyboard mode */
   const elKo = document.getElementById("textarea-korean"); /* Textarea for Korean input */
   const elNeg = document.getElementById("input-negative"); /* Input for negative prompt terms */
   const elStylize = document.getElementById("range-stylization"); /* Range for stylization strength */
@@ -14,17 +15,74 @@ document.addEventListener("DOMContentLoaded", async () => { /* Wait until the DO
   const elGuidelineVersion = document.getElementById("guideline-version"); /* Span to show version */
   const elGuidelineUpdated = document.getElementById("guideline-updated"); /* Span to show updated date */
   const elGuidelinePre = document.getElementById("pre-guideline"); /* Preformatted block to display guideline text */
+  const elGuidelineStatus = document.getElementById("guideline-status"); /* Span to show guideline source and refresh status */
+  const elGuidelineChanges = document.getElementById("pre-guideline-changes"); /* Preformatted block to display the refresh change log */
+  const elGuidelineChangesDetails = document.getElementById("details-guideline-changes"); /* Collapsible wrapper of the change log */
   const elResult = document.getElementById("textarea-result"); /* Output textarea for final English prompt */
   const elCopyPrompt = document.getElementById("button-copy"); /* Copy prompt button */
   const elCopyParams = document.getElementById("button-copy-params"); /* Copy parameters-only button */
+  const elResultWarnings = document.getElementById("list-result-warnings"); /* List of notes about adjusted values */
+  const elParamWarnings = document.getElementById("list-param-warnings"); /* List of notes about parameter values next to the inputs */
+  const elLeftovers = document.getElementById("result-leftovers"); /* Panel listing untranslated Korean */
+  const elResultHighlight = document.getElementById("pre-result-highlight"); /* Preformatted copy of the result with Hangul marked */
+  const elLeftoverWords = document.getElementById("leftover-words"); /* Container for add-to-lexicon buttons */
   const elConvert = document.getElementById("button-convert"); /* Convert button to generate prompt */
   const elClear = document.getElementById("button-clear"); /* Clear all inputs button */
   const elOpenSettings = document.getElementById("button-open-settings"); /* Button to open settings dialog */
   const elCheckUpdates = document.getElementById("button-check-updates"); /* Button to trigger an immediate guidelines reload */
   const dlgSettings = document.getElementById("dialog-settings"); /* Settings dialog element */
-  const elGuidelinesUrl = document.getElementById("input-guidelines-url"); /* Input to set remote guidelines URL */
+  const elSourceRows = document.querySelector("#table-sources tbody"); /* Table body for guideline sources */
+  const elSourceName = document.getElementById("input-source-name"); /* Input for a new source name */
+  const elSourceUrl = document.getElementById("input-source-url"); /* Input for a new source URL */
+  const elSourceAdd = document.getElementById("button-source-add"); /* Button to add a source */
   const elAutoInterval = document.getElementById("input-auto-interval"); /* Input to set auto-update interval minutes */
   const elSaveSettings = document.getElementById("button-save-settings"); /* Button to save settings in dialog */
+  const elCustomGuideline = document.getElementById("textarea-custom-guideline"); /* Textarea for custom guideline rules */
+  const elOpenHistory = document.getElementById("button-open-history"); /* Button to open history dialog */
+  const dlgHistory = document.getElementById("dialog-history"); /* History dialog element */
+  const elHistorySearch = document.getElementById("input-history-search"); /* Search box for saved entries */
+  const elHistoryProject = document.getElementById("select-history-project"); /* Project filter for saved entries */
+  const elHistoryStarred = document.getElementById("checkbox-history-starred"); /* Starred-only filter */
+  const elHistoryList = document.getElementById("list-history"); /* List of saved entries */
+  const elHistoryExport = document.getElementById("button-history-export"); /* Button to export history as JSON */
+  const elHistoryImport = document.getElementById("input-history-import"); /* File input to import history JSON */
+  const elOpenBatch = document.getElementById("button-open-batch"); /* Button to open batch dialog */
+  const dlgBatch = document.getElementById("dialog-batch"); /* Batch dialog element */
+  const elBatchFile = document.getElementById("input-batch-file"); /* File input for CSV or JSONL rows */
+  const elBatchSummary = document.getElementById("batch-summary"); /* Summary line for the last batch run */
+  const elBatchRows = document.querySelector("#table-batch tbody"); /* Table body for per-row results */
+  const elBatchCsv = document.getElementById("button-batch-csv"); /* Button to download CSV results */
+  const elBatchJsonl = document.getElementById("button-batch-jsonl"); /* Button to download JSONL results */
+  const elBatchText = document.getElementById("button-batch-text"); /* Button to download ready-to-paste prompts */
+  const elOpenCompare = document.getElementById("button-open-compare"); /* Button to open comparison dialog */
+  const dlgCompare = document.getElementById("dialog-compare"); /* Comparison dialog element */
+  const elCompareModels = document.getElementById("compare-models"); /* Container for model checkboxes */
+  const elCompareSkipped = document.getElementById("compare-skipped"); /* Note listing skipped models */
+  const elCompareColumns = document.getElementById("compare-columns"); /* Container for result columns */
+  const elCompareRun = document.getElementById("button-compare-run"); /* Button to run the comparison */
+  const elLexiconScope = document.getElementById("select-lexicon-scope"); /* Scope select for lexicon entries */
+  const elLexiconTerm = document.getElementById("input-lexicon-term"); /* Korean term input */
+  const elLexiconEnglish = document.getElementById("input-lexicon-english"); /* English translation input */
+  const elLexiconAdd = document.getElementById("button-lexicon-add"); /* Button to save a lexicon entry */
+  const elLexiconConflicts = document.getElementById("list-lexicon-conflicts"); /* List of conflicts with guideline lexicons */
+  const elLexiconRows = document.querySelector("#table-lexicon tbody"); /* Table body for lexicon entries */
+  const elLexiconExportCsv = document.getElementById("button-lexicon-export-csv"); /* Button to export lexicon as CSV */
+  const elLexiconExportJson = document.getElementById("button-lexicon-export-json"); /* Button to export lexicon as JSON */
+  const elLexiconImport = document.getElementById("input-lexicon-import"); /* File input to import lexicon entries */
+  const elCopyLink = document.getElementById("button-copy-link"); /* Copy permalink button */
+  const elPresetSelect = document.getElementById("select-preset"); /* Dropdown of saved presets */
+  const elPresetLoad = document.getElementById("button-preset-load"); /* Button to fill the form from a preset */
+  const elPresetSave = document.getElementById("button-preset-save"); /* Button to save the form as a preset */
+  const elPresetDelete = document.getElementById("button-preset-delete"); /* Button to delete the selected preset */
+  const elPresetExport = document.getElementById("button-preset-export"); /* Button to export the selected preset */
+  const elPresetImport = document.getElementById("input-preset-import"); /* File input to import a preset */
+  const elPresetWarnings = document.getElementById("list-preset-warnings"); /* List of guideline version notes for presets and links */
+
+  /* UI helper to build a readable guideline summary for a model */
+  function guidelineSummary(model) { /* Define function that formats engines, parameters and rules */
+    const sources = (window.GlobalGuidelines.modelSources || {})[model.id] || []; /* Sources that contributed to the model */
+    return `• Source: ${sources.join(" → ") || "-"}\n• Engines: ${model.engines.join(", ")}\n• Parameters: ${window.PromptEngines.describeParameters(model.params).join(", ")}\n• Rules:\n  - ${model.guideline.join("\n  - ")}`; /* Build a readable summary string */
+  } /* End guidelineSummary */
 
   /* UI helper to render guideline info for the selected model */
   function renderGuideline(modelId) { /* Define function that draws guideline snapshot text */
@@ -40,66 +98,313 @@ document.addEventListener("DOMContentLoaded", async () => { /* Wait until the DO
     elGuidelineName.textContent = `모델: ${model.name}`; /* Show human-readable model name */
     elGuidelineVersion.textContent = `버전: ${model.latest}`; /* Show latest supported version string */
     elGuidelineUpdated.textContent = `업데이트: ${window.GlobalGuidelines.updatedAt || "-"}`; /* Show last update date from guidelines */
-    const guidelineText = `• Engines: ${model.engines.join(", ")}\n• Parameters: ${Object.entries(model.params).map(([k, v]) => `${k}:${v}`).join(", ")}\n• Rules:\n  - ${model.guideline.join("\n  - ")}`; /* Build a readable summary string */
-    elGuidelinePre.textContent = guidelineText; /* Display the constructed guideline summary */
+    elGuidelinePre.textContent = guidelineSummary(model); /* Display the constructed guideline summary */
   } /* End renderGuideline */
 
+  /* UI helper to enable storyboard mode only for video engines on models that define a storyboard */
+  function updateStoryboardAvailability() { /* Define function that toggles the storyboard checkbox */
+    const storyboards = window.PromptEngines.storyboards || {}; /* Read installed storyboard builders */
+    const available = elEngine.value !== "text-to-image" && Boolean(storyboards[elModel.value]); /* Require a video engine and a storyboard section */
+    elStoryboard.disabled = !available; /* Disable the toggle when unavailable */
+    if (!available) elStoryboard.checked = false; /* Clear the toggle so conversions fall back to single prompts */
+  } /* End updateStoryboardAvailability */
+
+  /* UI helper to fill a warning list with one item per note */
+  function fillWarningList(list, messages) { /* Define function that draws a list of notes */
+    list.textContent = ""; /* Clear previous notes */
+    messages.forEach(text => { /* Create one list item per note */
+      const item = document.createElement("li"); /* Create the list item */
+      item.textContent = text; /* Put the note text inside */
+      list.append(item); /* Add the item to the list */
+    }); /* End warning loop */
+    list.hidden = !messages.length; /* Hide the list when there is nothing to show */
+  } /* End fillWarningList */
+
+  /* UI helper to list the builder's { param?, message } notes: parameter notes next to the inputs, the rest under the result */
+  function renderWarnings(builderWarnings) { /* Define function that draws both warning lists */
+    const warnings = builderWarnings || []; /* Normalize missing notes */
+    fillWarningList(elResultWarnings, warnings.filter(w => !w.param).map(w => w.message)); /* Show general notes under the result */
+    const paramWarnings = warnings.filter(w => w.param); /* Notes about one input */
+    const inputs = { aspect: elAspect, stylize: elStylize, seed: elSeed, negative: elNeg }; /* Map parameter names to inputs */
+    Object.entries(inputs).forEach(([name, input]) => { /* Update every parameter input */
+      const messages = paramWarnings.filter(w => w.param === name).map(w => w.message); /* Notes for this input */
+      input.classList.toggle("invalid", messages.length > 0); /* Mark inputs with notes */
+      input.title = messages.join("\n"); /* Repeat the notes as a tooltip */
+    }); /* End input loop */
+    fillWarningList(elParamWarnings, paramWarnings.map(w => w.message)); /* List every parameter note below the inputs */
+  } /* End renderWarnings */
+
+  /* UI helper to suggest valid aspect ratios for the selected model */
+  function updateAspectHint() { /* Define function that updates the aspect placeholder */
+    const model = (window.GlobalGuidelines.models || []).find(m => m.id === elModel.value); /* Find the selected model */
+    const spec = model && model.params.aspect; /* Read its aspect schema */
+    elAspect.placeholder = spec && spec.allowed ? `허용: ${spec.allowed.join(", ")}` : "예: 3:4, 1:1, 9:16"; /* Show allowed ratios or the default examples */
+  } /* End updateAspectHint */
+
+  /* UI helper to highlight leftover Hangul in the result and offer lexicon additions */
+  function renderLeftovers(result) { /* Define function that draws the leftover panel */
+    const leftovers = (result && result.translation && result.translation.leftovers) || []; /* Read untranslated words from the builder */
+    elResultHighlight.textContent = ""; /* Clear the previous highlight */
+    elLeftoverWords.textContent = ""; /* Clear the previous buttons */
+    const text = (result && result.full) || ""; /* Read the prompt text to highlight */
+    const runs = Array.from(text.matchAll(/[ㄱ-ㆎ가-힣]+/g)); /* Find every run of Hangul in the prompt */
+    if (!leftovers.length && !runs.length) { elLeftovers.hidden = true; return; } /* Hide the panel when the prompt is pure English */
+    let cursor = 0; /* Track how much text has been emitted */
+    for (const match of runs) { /* Walk every Hangul run in the prompt */
+      elResultHighlight.append(text.slice(cursor, match.index)); /* Emit the English text before the run */
+      const mark = document.createElement("mark"); /* Create a highlight element */
+      mark.textContent = match[0]; /* Put the Hangul inside the highlight */
+      elResultHighlight.append(mark); /* Emit the highlighted run */
+      cursor = match.index + match[0].length; /* Advance past the run */
+    }
+    elResultHighlight.append(text.slice(cursor)); /* Emit the remaining English text */
+    leftovers.forEach(item => { /* Create one button per leftover stem */
+      const button = document.createElement("button"); /* Create the button element */
+      button.type = "button"; /* Avoid submitting any surrounding form */
+      button.className = "chip"; /* Use pill styling */
+      button.textContent = `${item.stem} + 사전`; /* Label with the stem to add */
+      button.addEventListener("click", () => { /* Ask for a translation and reconvert */
+        const english = window.prompt(`"${item.stem}"의 영어 표현을 입력하세요.`, ""); /* Ask the user for the English term */
+        if (window.UserLexicon.add(item.stem, english)) elConvert.click(); /* Save the entry and rebuild the prompt */
+      }); /* End button handler */
+      elLeftoverWords.append(button); /* Add the button to the panel */
+    }); /* End leftover loop */
+    elLeftovers.hidden = false; /* Show the panel */
+  } /* End renderLeftovers */
+
+  /* UI helper to describe one user lexicon conflict */
+  function describeLexiconConflict(conflict) { /* Define conflict formatter */
+    return `${conflict.term}: 사용자(${conflict.scope}) "${conflict.user}" ↔ 가이드(${conflict.source}) "${conflict.guideline}"`; /* Show both translations and where they come from */
+  } /* End describeLexiconConflict */
+
+  /* UI helper to describe one guideline source for the status report */
+  function describeSourceStatus(source) { /* Define source status formatter */
+    const time = (value) => (value ? new Date(value).toLocaleString() : "-"); /* Format timestamps for display */
+    const parts = [`${source.name} (${source.url})`, `마지막 성공 ${time(source.lastSuccess)}`]; /* Name and last success */
+    if (source.notModified && !source.lastError) parts.push("변경 없음"); /* The server answered 304 */
+    if (!source.used) parts.push("미사용"); /* The layer is not part of the active guidelines */
+    if (source.lastError) parts.push(`실패 ${source.failures}회, 다음 재시도 ${time(source.nextAttempt)}: ${source.lastError}`); /* Failure count, retry time and reason */
+    return parts.join(" · "); /* Join the parts on one line */
+  } /* End describeSourceStatus */
+
+  /* UI helper to render the outcome of the last guidelines refresh */
+  function renderUpdateReport() { /* Define function that shows source, validation errors and version diff */
+    const gg = window.GlobalGuidelines; /* Read the loaded guidelines state */
+    const warnings = gg.warnings || []; /* Read non-fatal validation notices */
+    const failing = (gg.sources || []).filter(source => source.lastError); /* Sources whose last attempt failed */
+    elGuidelineStatus.textContent = gg.lastError ? `출처: ${gg.source || "-"} (갱신 거부됨)` : failing.length ? `출처: ${gg.source || "-"} (소스 ${failing.length}개 실패)` : `출처: ${gg.source || "-"}`; /* Show the active layers and whether a refresh failed */
+    elGuidelineStatus.className = gg.lastError ? "tag error" : warnings.length || failing.length ? "tag warning" : "tag"; /* Color the tag by severity */
+    const sections = []; /* Collect text blocks for the change log */
+    if (gg.sources) sections.push(`소스 상태:\n- ${gg.sources.map(describeSourceStatus).join("\n- ")}`); /* Show every source with its last success */
+    const modelSources = Object.entries(gg.modelSources || {}); /* Sources per model */
+    if (modelSources.length) sections.push(`모델 출처:\n- ${modelSources.map(([id, names]) => `${id}: ${names.join(" → ")}`).join("\n- ")}`); /* Show which layers each model came from */
+    if (gg.lastError) sections.push(`새 가이드라인을 거부하고 마지막 정상 캐시(${gg.version})를 유지합니다.\n${gg.lastError}`); /* Explain the rejected refresh */
+    if (warnings.length) sections.push(`경고:\n- ${warnings.join("\n- ")}`); /* List non-fatal notices */
+    const conflicts = window.UserLexicon.conflicts(gg); /* Compare user entries with the loaded lexicons */
+    if (conflicts.length) sections.push(`사용자 사전 충돌 ${conflicts.length}건 (설정 > 사용자 사전에서 확인):\n- ${conflicts.map(describeLexiconConflict).join("\n- ")}`); /* List terms the guidelines define differently */
+    if (!gg.lastError) sections.push(window.GuidelineValidator.formatDiff(gg.lastDiff)); /* Show what the refresh changed */
+    elGuidelineChanges.textContent = sections.join("\n\n"); /* Display the combined report */
+    if (gg.lastError || failing.length || (gg.lastDiff && gg.lastDiff.hasChanges)) elGuidelineChangesDetails.open = true; /* Expand the log when there is something to review */
+  } /* End renderUpdateReport */
+
+  /* UI helper to list the merged models in the model dropdown, keeping existing labels and the selection */
+  function renderModelOptions() { /* Define function that syncs model options with the loaded guidelines */
+    const models = window.GlobalGuidelines.models || []; /* Read loaded model list */
+    if (!models.length) return; /* Keep the built-in options when nothing is loaded */
+    const selected = elModel.value; /* Remember the selection */
+    const existing = new Map(Array.from(elModel.options).map(option => [option.value, option])); /* Reuse options with hand-written labels */
+    elModel.replaceChildren(...models.map(model => existing.get(model.id) || new Option(model.name, model.id))); /* One option per model, including ones a layer added */
+    elModel.value = models.some(model => model.id === selected) ? selected : models[0].id; /* Restore the selection when the model still exists */
+  } /* End renderModelOptions */
+
+  /* UI helper to redraw everything that depends on the loaded guidelines */
+  function refreshGuidelineViews() { /* Define function used after every guidelines load */
+    renderModelOptions(); /* Add models from extra layers and drop removed ones */
+    renderGuideline(elModel.value); /* Redraw the selected model's guideline snapshot */
+    updateStoryboardAvailability(); /* Re-check storyboard support after builders are reinstalled */
+    updateAspectHint(); /* Refresh allowed ratios after guidelines change */
+    renderUpdateReport(); /* Redraw the refresh status and change log */
+  } /* End refreshGuidelineViews */
+
+  /* UI helper to reload guidelines and redraw, showing the reason when no source or cache could be loaded */
+  async function reloadGuidelines(options) { /* Define guarded reload */
+    try { /* Try block so a failed load does not stop the caller */
+      await window.GuidelineUpdater.loadGuidelines(options); /* Fetch guidelines JSON and install builders */
+      refreshGuidelineViews(); /* Redraw the guideline snapshot and refresh status */
+    } catch (err) { /* Catch failures with nothing to fall back on */
+      elGuidelineStatus.textContent = `가이드라인 로드 실패: ${err.message}`; /* Show the reason in the status tag */
+      elGuidelineStatus.className = "tag error"; /* Mark the tag as an error */
+    }
+  } /* End reloadGuidelines */
+
+  /* UI helper to preview a refresh's changes and ask before they replace the loaded guidelines */
+  function confirmGuidelineChanges(diff) { /* Define review callback for user-started refreshes */
+    return window.confirm(`가이드라인 변경 사항을 적용할까요?\n\n${window.GuidelineValidator.formatDiff(diff)}`); /* Show the diff and ask */
+  } /* End confirmGuidelineChanges */
+
   /* Load guidelines on startup and render default state */
-  const data = await window.GuidelineUpdater.loadGuidelines(); /* Fetch guidelines JSON and install builders */
-  renderGuideline(elModel.value); /* Render initial guideline for the default-selected model */
+  await reloadGuidelines(); /* Keep wiring the page even when loading fails */
 
   /* Load persisted settings if available */
-  elGuidelinesUrl.value = localStorage.getItem("guidelines.sourceUrl") || ""; /* Fill the source URL field from storage */
   elAutoInterval.value = localStorage.getItem("guidelines.autoMinutes") || "60"; /* Fill the interval input from storage */
 
   /* Wire: change handlers to update guideline view when selection changes */
-  elModel.addEventListener("change", () => renderGuideline(elModel.value)); /* Re-render when the model selection changes */
+  elModel.addEventListener("change", () => { renderGuideline(elModel.value); updateStoryboardAvailability(); updateAspectHint(); }); /* Re-render when the model selection changes */
+  elEngine.addEventListener("change", updateStoryboardAvailability); /* Re-check storyboard support when the engine changes */
+
+  /* UI helper to draw the user lexicon manager */
+  function renderLexiconManager() { /* Define function that fills scope options, conflicts and the entries table */
+    const scope = elLexiconScope.value; /* Remember the selected scope */
+    elLexiconScope.length = 1; /* Keep only the global option */
+    (window.GlobalGuidelines.models || []).forEach(model => elLexiconScope.add(new Option(model.name, model.id))); /* Add one option per model */
+    elLexiconScope.value = Array.from(elLexiconScope.options).some(o => o.value === scope) ? scope : window.UserLexicon.GLOBAL_SCOPE; /* Restore the selection when possible */
+
+    const conflicts = window.UserLexicon.conflicts(window.GlobalGuidelines); /* Compare with the loaded guidelines */
+    fillWarningList(elLexiconConflicts, conflicts.map(describeLexiconConflict)); /* List conflicts above the table */
+
+    elLexiconRows.textContent = ""; /* Clear previous rows */
+    window.UserLexicon.list().forEach(entry => { /* Create one row per entry */
+      const tr = document.createElement("tr"); /* Create the row */
+      if (conflicts.some(c => c.scope === entry.scope && c.term === entry.term)) tr.className = "conflict"; /* Highlight conflicting entries */
+      [entry.scope === window.UserLexicon.GLOBAL_SCOPE ? window.UserLexicon.GLOBAL_SCOPE_LABEL : entry.scope, entry.term, entry.english].forEach(value => { /* Text cells */
+        const td = document.createElement("td"); /* Create the cell */
+        td.textContent = value; /* Put the value inside */
+        tr.append(td); /* Add the cell */
+      }); /* End cell loop */
+      const actions = document.createElement("td"); /* Cell for row buttons */
+      actions.append( /* Add edit and delete buttons */
+        rowButton("수정", () => { /* Load the entry into the form */
+          editingLexiconEntry = entry; /* Remember the original so a renamed entry replaces it */
+          elLexiconScope.value = entry.scope; /* Restore the scope */
+          elLexiconTerm.value = entry.term; /* Restore the term */
+          elLexiconEnglish.value = entry.english; /* Restore the translation */
+          elLexiconEnglish.focus(); /* Focus the translation for editing */
+        }), /* End edit button */
+        rowButton("삭제", () => { window.UserLexicon.remove(entry.term, entry.scope); renderLexiconManager(); }) /* Delete and redraw */
+      ); /* End actions */
+      tr.append(actions); /* Add the button cell */
+      elLexiconRows.append(tr); /* Add the row */
+    }); /* End entry loop */
+  } /* End renderLexiconManager */
+
+  /* Entry loaded with the edit button, or null when the form adds a new entry */
+  let editingLexiconEntry = null; /* Original scope and term of the edited entry */
+
+  /* Sources edited in the settings dialog, saved with the save button */
+  let pendingSources = []; /* Extra sources in priority order */
+
+  /* UI helper to draw the guideline sources table */
+  function renderSourceEditor() { /* Define function that lists sources with move and delete buttons */
+    elSourceRows.textContent = ""; /* Clear previous rows */
+    [window.GuidelineUpdater.bundledSource].concat(pendingSources).forEach((source, i) => { /* Bundled file first, then extra layers */
+      const tr = document.createElement("tr"); /* Create the row */
+      [String(i + 1), source.name, source.url].forEach(value => { /* Text cells */
+        const td = document.createElement("td"); /* Create the cell */
+        td.textContent = value; /* Put the value inside */
+        tr.append(td); /* Add the cell */
+      }); /* End cell loop */
+      const actions = document.createElement("td"); /* Cell for row buttons */
+      const index = i - 1; /* Position within the extra sources */
+      const move = (delta) => { pendingSources.splice(index + delta, 0, pendingSources.splice(index, 1)[0]); renderSourceEditor(); }; /* Reorder and redraw */
+      if (index > 0) actions.append(rowButton("↑", () => move(-1))); /* Lower the priority */
+      if (index >= 0 && index < pendingSources.length - 1) actions.append(rowButton("↓", () => move(1))); /* Raise the priority */
+      if (index >= 0) actions.append(rowButton("삭제", () => { pendingSources.splice(index, 1); renderSourceEditor(); })); /* Remove and redraw */
+      tr.append(actions); /* Add the button cell; the bundled file has none */
+      elSourceRows.append(tr); /* Add the row */
+    }); /* End source loop */
+  } /* End renderSourceEditor */
+
+  /* Wire: add a source on top of the list */
+  elSourceAdd.addEventListener("click", () => { /* Attach click handler to the add button */
+    const url = elSourceUrl.value.trim(); /* Read the URL */
+    if (!url) return; /* Ignore empty URLs */
+    pendingSources.push({ name: elSourceName.value.trim() || `source-${pendingSources.length + 1}`, url }); /* Highest priority goes last */
+    elSourceName.value = ""; /* Clear the name input */
+    elSourceUrl.value = ""; /* Clear the URL input */
+    renderSourceEditor(); /* Redraw the table */
+  }); /* End add source handler */
+
+  [elSourceName, elSourceUrl].forEach(input => input.addEventListener("keydown", (e) => { /* Add with Enter instead of closing the dialog */
+    if (e.key === "Enter") { e.preventDefault(); elSourceAdd.click(); } /* Redirect Enter to the add button */
+  })); /* End Enter handler */
 
   /* Wire: open settings dialog when the settings button is clicked */
-  elOpenSettings.addEventListener("click", () => dlgSettings.showModal()); /* Open the modal dialog */
+  elOpenSettings.addEventListener("click", () => { /* Attach click handler to the settings button */
+    pendingSources = window.GuidelineUpdater.readSources(); /* Start editing from the saved sources */
+    renderSourceEditor(); /* Draw the sources table */
+    editingLexiconEntry = null; /* Start with a fresh lexicon form */
+    renderLexiconManager(); /* Draw the lexicon manager */
+    dlgSettings.showModal(); /* Open the modal dialog */
+  }); /* End open settings handler */
+
+  /* Wire: save a lexicon entry from the manager form */
+  elLexiconAdd.addEventListener("click", () => { /* Attach click handler to the add button */
+    if (!window.UserLexicon.add(elLexiconTerm.value, elLexiconEnglish.value, elLexiconScope.value)) return; /* Ignore incomplete entries */
+    const original = editingLexiconEntry; /* Entry being edited, if any */
+    if (original && (original.term !== elLexiconTerm.value.trim() || original.scope !== elLexiconScope.value)) window.UserLexicon.remove(original.term, original.scope); /* Drop the old key when the term or scope changed */
+    editingLexiconEntry = null; /* The next save adds a new entry */
+    elLexiconTerm.value = ""; /* Clear the term input */
+    elLexiconEnglish.value = ""; /* Clear the translation input */
+    renderLexiconManager(); /* Redraw the table and conflicts */
+  }); /* End add handler */
+
+  [elLexiconTerm, elLexiconEnglish].forEach(input => input.addEventListener("keydown", (e) => { /* Save with Enter instead of closing the dialog */
+    if (e.key === "Enter") { e.preventDefault(); elLexiconAdd.click(); } /* Redirect Enter to the add button */
+  })); /* End Enter handler */
+
+  /* Wire: export and import the user lexicon */
+  elLexiconExportCsv.addEventListener("click", () => downloadText("lexicon.csv", window.UserLexicon.exportCsv(), "text/csv")); /* Save CSV entries */
+  elLexiconExportJson.addEventListener("click", () => downloadText("lexicon.json", window.UserLexicon.exportJson(), "application/json")); /* Save JSON entries */
+  elLexiconImport.addEventListener("change", async () => { /* Attach change handler to the file input */
+    const file = elLexiconImport.files[0]; /* Read the chosen file */
+    if (!file) return; /* Ignore cancelled pickers */
+    try { /* Try block to surface malformed files */
+      const count = window.UserLexicon.importFile(file.name, await file.text()); /* Merge the file's entries */
+      window.alert(`${count}개의 항목을 가져왔습니다.`); /* Confirm the import */
+    } catch (err) { /* Catch parse or format errors */
+      window.alert(`가져오기 실패: ${err.message}`); /* Explain the failure */
+    }
+    elLexiconImport.value = ""; /* Allow importing the same file again */
+    renderLexiconManager(); /* Redraw the table and conflicts */
+  }); /* End import handler */
 
   /* Wire: save settings and reschedule auto updates on save */
   elSaveSettings.addEventListener("click", async (e) => { /* Attach click handler to save button */
     e.preventDefault(); /* Prevent default dialog form submission */
-    const url = elGuidelinesUrl.value.trim(); /* Read URL input value */
     const minutes = Math.max(5, Number(elAutoInterval.value) || 60); /* Normalize minutes to a minimum value */
-    if (url) localStorage.setItem("guidelines.sourceUrl", url); else localStorage.removeItem("guidelines.sourceUrl"); /* Persist or clear remote URL setting */
+    window.GuidelineUpdater.writeSources(pendingSources); /* Persist the edited source list */
     localStorage.setItem("guidelines.autoMinutes", String(minutes)); /* Persist auto-update interval minutes */
-    await window.GuidelineUpdater.loadGuidelines(); /* Reload guidelines using possibly new source */
-    renderGuideline(elModel.value); /* Refresh the guideline snapshot after reloading */
-    window.GuidelineUpdater.scheduleAutoUpdate(minutes, () => renderGuideline(elModel.value)); /* Reschedule periodic updates */
+    await reloadGuidelines({ force: true, review: confirmGuidelineChanges }); /* Reload every source, including ones backing off, after a preview */
+    window.GuidelineUpdater.scheduleAutoUpdate(minutes, refreshGuidelineViews); /* Reschedule periodic updates */
     dlgSettings.close(); /* Close the settings dialog */
   }); /* End save settings handler */
 
   /* Wire: manual update check button */
   elCheckUpdates.addEventListener("click", async () => { /* Attach click handler to update button */
-    await window.GuidelineUpdater.loadGuidelines(); /* Reload guidelines immediately */
-    renderGuideline(elModel.value); /* Refresh UI with possibly new content */
+    await reloadGuidelines({ force: true, review: confirmGuidelineChanges }); /* Reload every source immediately, ignoring backoff, after a preview */
   }); /* End manual update handler */
 
   /* Start auto-update schedule using stored or default interval */
-  window.GuidelineUpdater.scheduleAutoUpdate(Number(elAutoInterval.value) || 60, () => renderGuideline(elModel.value)); /* Begin periodic check */
+  window.GuidelineUpdater.scheduleAutoUpdate(Number(elAutoInterval.value) || 60, refreshGuidelineViews); /* Begin periodic check */
 
   /* Wire: Convert button to build final English prompt */
   elConvert.addEventListener("click", () => { /* Attach click handler for conversion */
     const modelId = elModel.value; /* Read selected model ID */
     const engine = elEngine.value; /* Read selected engine */
-    const builder = (window.PromptEngines.builders || {})[modelId]; /* Lookup the builder function for the model */
+    const useStoryboard = elStoryboard.checked && !elStoryboard.disabled; /* Decide between a single prompt and a multi-shot storyboard */
+    const registry = useStoryboard ? window.PromptEngines.storyboards : window.PromptEngines.builders; /* Pick the matching builder registry */
+    const builder = (registry || {})[modelId]; /* Lookup the builder function for the model */
     if (!builder) { /* If builder is missing, show message */
       elResult.value = "No builder available for the selected model."; /* Display error text in output */
       return; /* Exit early */
     }
-    const uiOptions = { /* Build a configuration object from UI inputs */
-      aspect: (document.getElementById("input-aspect").value || "").trim(), /* Read aspect ratio string */
-      stylize: Number(elStylize.value || 50), /* Read stylization strength as number */
-      seed: (document.getElementById("input-seed").value || "").trim(), /* Read seed value string */
-      negative: (elNeg.value || "").trim() /* Read negative prompt string */
-    }; /* End options object */
+    const state = readFormState(); /* Read every form field once */
+    const uiOptions = { aspect: state.aspect, stylize: state.stylize, seed: state.seed, negative: state.negative }; /* Build a configuration object from UI inputs */
 
     /* Compose custom guideline if provided and merge into a pseudo-prefix for better compliance */
-    const customGuideline = (document.getElementById("textarea-custom-guideline").value || "").trim(); /* Read custom guideline text */
-    const sourceText = elKo.value.trim(); /* Read the main Korean description text */
-    const prefixed = customGuideline ? `${customGuideline}\n${sourceText}` : sourceText; /* Prepend custom rules if any */
+    const { customGuideline, sourceText } = state; /* Read custom guideline and Korean description text */
+    const prefixed = customGuideline && !useStoryboard ? `${customGuideline}\n${sourceText}` : sourceText; /* Prepend custom rules to single prompts */
+    if (useStoryboard) uiOptions.guideline = customGuideline; /* Storyboards take the rules as an option so they never become a shot */
 
     /* Build the final prompt using the model's builder */
     const result = builder(prefixed, engine, uiOptions); /* Execute builder to get final prompt strings */
@@ -109,6 +414,30 @@ document.addEventListener("DOMContentLoaded", async () => { /* Wait until the DO
 
     /* Store the latest result parameters for quick copy action */
     elResult.dataset.params = result.params; /* Save parameter-only string into data attribute */
+
+    /* Show notes about values adjusted to fit the model's rules */
+    renderWarnings(result.warnings); /* List clamped durations, and rescaled, substituted or omitted parameters next to the inputs */
+
+    /* Highlight Korean that the lexicon did not cover */
+    renderLeftovers(result); /* Show leftover words with add-to-lexicon buttons */
+
+    /* Keep the address bar pointing at this exact setup */
+    window.history.replaceState(null, "", `#${window.FormPresets.encode(Object.assign(state, { storyboard: useStoryboard }), window.GlobalGuidelines.version)}`); /* Update the permalink without reloading */
+
+    /* Save the conversion to history without blocking the UI */
+    window.PromptHistory.add({ /* Build the history record */
+      sourceText, /* Korean description */
+      model: modelId, /* Selected model */
+      engine, /* Selected engine */
+      storyboard: useStoryboard, /* Whether storyboard mode was used */
+      aspect: uiOptions.aspect, /* Aspect ratio text */
+      seed: uiOptions.seed, /* Seed text */
+      stylize: uiOptions.stylize, /* Stylization value */
+      negative: uiOptions.negative, /* Negative prompt text */
+      customGuideline, /* Custom guideline text */
+      guidelineVersion: window.GlobalGuidelines.version, /* Guidelines version used */
+      result: { full: result.full, params: result.params } /* Generated prompt */
+    }).catch(() => {}); /* Ignore storage failures such as private browsing */
   }); /* End convert click handler */
 
   /* Wire: Clear button to reset inputs quickly */
@@ -120,6 +449,10 @@ document.addEventListener("DOMContentLoaded", async () => { /* Wait until the DO
     elSeed.value = ""; /* Clear seed */
     document.getElementById("textarea-custom-guideline").value = ""; /* Clear custom guideline area */
     elResult.value = ""; /* Clear the result output */
+    renderWarnings([]); /* Hide the warning lists */
+    renderLeftovers(null); /* Hide the leftover panel */
+    fillWarningList(elPresetWarnings, []); /* Hide the preset version note */
+    window.history.replaceState(null, "", window.location.pathname + window.location.search); /* Drop the permalink for the cleared form */
   }); /* End clear handler */
 
   /* Wire: Copy full prompt to clipboard */
@@ -131,4 +464,370 @@ document.addEventListener("DOMContentLoaded", async () => { /* Wait until the DO
   elCopyParams.addEventListener("click", async () => { /* Attach click handler for copying parameters */
     try { await navigator.clipboard.writeText(elResult.dataset.params || ""); } catch {} /* Attempt to copy parameters line */
   }); /* End copy parameters handler */
+
+  /* UI helper to read every form field as one state object */
+  function readFormState() { /* Define function that collects the conversion setup */
+    return { /* Return the form state */
+      sourceText: elKo.value.trim(), /* Korean description */
+      model: elModel.value, /* Selected model */
+      engine: elEngine.value, /* Selected engine */
+      storyboard: elStoryboard.checked && !elStoryboard.disabled, /* Multi-shot mode when available */
+      negative: elNeg.value.trim(), /* Negative prompt text */
+      stylize: Number(elStylize.value || 50), /* Stylization value */
+      aspect: elAspect.value.trim(), /* Aspect ratio text */
+      seed: elSeed.value.trim(), /* Seed text */
+      customGuideline: elCustomGuideline.value.trim() /* Custom guideline text */
+    }; /* End state */
+  } /* End readFormState */
+
+  /* UI helper to fill every form field from a state object such as a preset, permalink or history entry */
+  function applyFormState(state) { /* Define function that restores the conversion setup */
+    const hasOption = (select, value) => Array.from(select.options).some(option => option.value === value); /* Check a value against the select options */
+    if (hasOption(elModel, state.model)) elModel.value = state.model; /* Restore model selection when it still exists */
+    if (hasOption(elEngine, state.engine)) elEngine.value = state.engine; /* Restore engine selection when it still exists */
+    renderGuideline(elModel.value); /* Show the restored model's guideline */
+    updateStoryboardAvailability(); /* Re-check storyboard support for the restored selection */
+    updateAspectHint(); /* Refresh allowed ratios for the restored model */
+    elStoryboard.checked = Boolean(state.storyboard) && !elStoryboard.disabled; /* Restore storyboard mode when still available */
+    elKo.value = state.sourceText; /* Restore Korean input */
+    elNeg.value = state.negative; /* Restore negative prompt */
+    elStylize.value = String(state.stylize); /* Restore stylization slider */
+    elAspect.value = state.aspect; /* Restore aspect ratio */
+    elSeed.value = state.seed; /* Restore seed */
+    elCustomGuideline.value = state.customGuideline; /* Restore custom guideline */
+  } /* End applyFormState */
+
+  /* UI helper to show a guideline version note for a preset or link */
+  function renderPresetWarning(savedVersion) { /* Define function that compares versions */
+    const message = window.FormPresets.versionMismatch(savedVersion, window.GlobalGuidelines.version); /* Describe any difference */
+    fillWarningList(elPresetWarnings, message ? [message] : []); /* Show or hide the note */
+  } /* End renderPresetWarning */
+
+  /* UI helper to redraw the preset options */
+  function renderPresetOptions(selected) { /* Define function that lists preset names */
+    elPresetSelect.length = 1; /* Keep only the empty option */
+    window.FormPresets.list().forEach(preset => elPresetSelect.add(new Option(preset.name, preset.name))); /* Add one option per preset */
+    elPresetSelect.value = window.FormPresets.get(selected) ? selected : ""; /* Restore the selection when it still exists */
+  } /* End renderPresetOptions */
+
+  /* UI helper to restore the form from the URL hash and convert */
+  function restoreFromPermalink() { /* Define function that applies a shared link */
+    const link = window.FormPresets.decode(window.location.hash); /* Parse the hash */
+    if (!link) return; /* Ignore pages opened without a shared setup */
+    applyFormState(link.state); /* Fill the form */
+    renderPresetWarning(link.guidelineVersion); /* Warn when the link was made with other guidelines */
+    if (link.state.sourceText) elConvert.click(); /* Convert right away */
+  } /* End restoreFromPermalink */
+
+  /* Wire: copy a link that restores the whole form */
+  elCopyLink.addEventListener("click", async () => { /* Attach click handler for copying the permalink */
+    const hash = window.FormPresets.encode(readFormState(), window.GlobalGuidelines.version); /* Encode the current form */
+    try { await navigator.clipboard.writeText(new URL(`#${hash}`, window.location.href).href); } catch {} /* Attempt to copy the link */
+  }); /* End copy link handler */
+
+  /* Wire: save the form as a named preset */
+  elPresetSave.addEventListener("click", () => { /* Attach click handler to the save button */
+    const name = window.prompt("프리셋 이름", elPresetSelect.value); /* Ask for a name, suggesting the selected preset */
+    if (!name || !name.trim()) return; /* Ignore cancelled or empty names */
+    const preset = window.FormPresets.save(name, readFormState(), window.GlobalGuidelines.version); /* Save with the current guidelines version */
+    renderPresetOptions(preset.name); /* Redraw and select the saved preset */
+    renderPresetWarning(""); /* The preset matches the current guidelines */
+  }); /* End save preset handler */
+
+  /* Wire: fill the form from the selected preset */
+  elPresetLoad.addEventListener("click", () => { /* Attach click handler to the load button */
+    const preset = window.FormPresets.get(elPresetSelect.value); /* Read the selected preset */
+    if (!preset) return; /* Nothing selected */
+    applyFormState(preset.state); /* Fill the form */
+    renderPresetWarning(preset.guidelineVersion); /* Warn when the preset was made with other guidelines */
+  }); /* End load preset handler */
+
+  /* Wire: delete the selected preset */
+  elPresetDelete.addEventListener("click", () => { /* Attach click handler to the delete button */
+    const name = elPresetSelect.value; /* Read the selected preset */
+    if (!name || !window.confirm(`"${name}" 프리셋을 삭제할까요?`)) return; /* Ask before deleting */
+    window.FormPresets.remove(name); /* Delete the preset */
+    renderPresetOptions(""); /* Redraw the options */
+  }); /* End delete preset handler */
+
+  /* Wire: download the selected preset as JSON */
+  elPresetExport.addEventListener("click", () => { /* Attach click handler to the export button */
+    const name = elPresetSelect.value; /* Read the selected preset */
+    if (!name) return; /* Nothing selected */
+    downloadText(`preset-${name.replace(/[\\/:*?"<>|]+/g, "_")}.json`, window.FormPresets.exportJson(name), "application/json"); /* Save the file with a safe name */
+  }); /* End export preset handler */
+
+  /* Wire: import a shared preset file */
+  elPresetImport.addEventListener("change", async () => { /* Attach change handler to the file input */
+    const file = elPresetImport.files[0]; /* Read the chosen file */
+    if (!file) return; /* Ignore cancelled pickers */
+    try { /* Try block to surface malformed files */
+      const preset = window.FormPresets.importJson(await file.text()); /* Save the file's preset */
+      renderPresetOptions(preset.name); /* Redraw and select the imported preset */
+      renderPresetWarning(preset.guidelineVersion); /* Warn when it was made with other guidelines */
+    } catch (err) { /* Catch parse or format errors */
+      window.alert(`가져오기 실패: ${err.message}`); /* Explain the failure */
+    }
+    elPresetImport.value = ""; /* Allow importing the same file again */
+  }); /* End import preset handler */
+
+  /* Restore a shared setup on load and whenever a new link is pasted into this tab */
+  renderPresetOptions(""); /* Fill the preset select */
+  restoreFromPermalink(); /* Apply the link the page was opened with */
+  window.addEventListener("hashchange", restoreFromPermalink); /* Apply links pasted into the address bar */
+
+  /* UI helper to download text as a file */
+  function downloadText(filename, text, type) { /* Define function that saves generated text locally */
+    const url = URL.createObjectURL(new Blob([text], { type: type || "text/plain" })); /* Wrap the text in a temporary blob URL */
+    const link = document.createElement("a"); /* Create a temporary link */
+    link.href = url; /* Point the link at the blob */
+    link.download = filename; /* Suggest a file name */
+    link.click(); /* Trigger the download */
+    URL.revokeObjectURL(url); /* Release the blob URL */
+  } /* End downloadText */
+
+  /* UI helper to put a saved history entry back into the form */
+  function restoreHistoryEntry(entry) { /* Define function that fills inputs from a record */
+    applyFormState(entry); /* Restore every form field */
+    elResult.value = entry.result.full; /* Restore the saved prompt */
+    elResult.dataset.params = entry.result.params; /* Restore the saved parameter line */
+    renderWarnings([]); /* Clear notes from the previous conversion */
+    renderLeftovers({ full: entry.result.full }); /* Highlight any Korean left in the saved prompt */
+  } /* End restoreHistoryEntry */
+
+  /* UI helper to create a small button for a list or table row */
+  function rowButton(label, onClick) { /* Define button factory */
+    const button = document.createElement("button"); /* Create the button element */
+    button.type = "button"; /* Keep the dialog open when clicked */
+    button.className = "button"; /* Use the generic button style */
+    button.textContent = label; /* Set the visible label */
+    button.addEventListener("click", onClick); /* Attach the action */
+    return button; /* Provide the button to the caller */
+  } /* End rowButton */
+
+  /* UI helper to redraw the project filter options */
+  async function renderHistoryProjects() { /* Define function that lists project names */
+    const current = elHistoryProject.value; /* Remember the selected project */
+    const projects = await window.PromptHistory.projects(); /* Load distinct project names */
+    elHistoryProject.length = 1; /* Keep only the "all projects" option */
+    projects.forEach(name => elHistoryProject.add(new Option(name, name))); /* Add one option per project */
+    elHistoryProject.value = projects.includes(current) ? current : ""; /* Restore the selection when it still exists */
+  } /* End renderHistoryProjects */
+
+  /* UI helper to redraw the history list using the current filters */
+  async function renderHistory() { /* Define function that draws saved entries */
+    const entries = await window.PromptHistory.list({ /* Load filtered entries */
+      query: elHistorySearch.value, /* Free-text search */
+      project: elHistoryProject.value, /* Selected project */
+      starredOnly: elHistoryStarred.checked /* Starred-only toggle */
+    }); /* End filter */
+    elHistoryList.textContent = ""; /* Clear the previous list */
+    if (!entries.length) { /* Show a placeholder for empty results */
+      const empty = document.createElement("li"); /* Create the placeholder item */
+      empty.className = "history-meta"; /* Use muted styling */
+      empty.textContent = "저장된 변환이 없습니다."; /* Explain the empty list */
+      elHistoryList.append(empty); /* Add the placeholder */
+      return; /* Exit early */
+    }
+    entries.forEach(entry => { /* Create one row per entry */
+      const item = document.createElement("li"); /* Create the row */
+      item.className = "history-item"; /* Use row styling */
+      const main = document.createElement("div"); /* Container for the text columns */
+      const title = document.createElement("strong"); /* Entry title */
+      title.textContent = entry.sourceText.slice(0, 60) || "(빈 설명)"; /* Use the start of the Korean description */
+      const meta = document.createElement("div"); /* Secondary information line */
+      meta.className = "history-meta"; /* Use muted styling */
+      meta.textContent = [entry.model, entry.engine, new Date(entry.createdAt).toLocaleString(), `가이드 ${entry.guidelineVersion || "-"}`, entry.project && `프로젝트 ${entry.project}`, entry.tags.length && `#${entry.tags.join(" #")}`].filter(Boolean).join(" · "); /* Summarize the entry */
+      main.append(title, meta); /* Assemble the text columns */
+      const actions = document.createElement("div"); /* Container for row buttons */
+      actions.className = "history-actions"; /* Use compact button styling */
+      actions.append( /* Add every row action */
+        rowButton(entry.starred ? "★" : "☆", async () => { await window.PromptHistory.update(entry.id, { starred: !entry.starred }); renderHistory(); }), /* Toggle the star */
+        rowButton("복원", () => { restoreHistoryEntry(entry); dlgHistory.close(); }), /* Restore into the form and close */
+        rowButton("태그", async () => { /* Edit tags */
+          const text = window.prompt("쉼표로 구분한 태그", entry.tags.join(", ")); /* Ask for a tag list */
+          if (text === null) return; /* Keep tags when cancelled */
+          await window.PromptHistory.update(entry.id, { tags: text.split(",").map(t => t.trim()).filter(Boolean) }); /* Save the new tags */
+          renderHistory(); /* Redraw the list */
+        }), /* End tag button */
+        rowButton("프로젝트", async () => { /* Move the entry into a project */
+          const name = window.prompt("프로젝트 이름 (비우면 해제)", entry.project); /* Ask for a project name */
+          if (name === null) return; /* Keep the project when cancelled */
+          await window.PromptHistory.update(entry.id, { project: name.trim() }); /* Save the project */
+          await renderHistoryProjects(); /* Refresh project options */
+          renderHistory(); /* Redraw the list */
+        }), /* End project button */
+        rowButton("삭제", async () => { /* Delete the entry */
+          if (!window.confirm("이 기록을 삭제할까요?")) return; /* Ask before deleting */
+          await window.PromptHistory.remove(entry.id); /* Remove the record */
+          await renderHistoryProjects(); /* Refresh project options */
+          renderHistory(); /* Redraw the list */
+        }) /* End delete button */
+      ); /* End actions */
+      item.append(main, actions); /* Assemble the row */
+      elHistoryList.append(item); /* Add the row to the list */
+    }); /* End entry loop */
+  } /* End renderHistory */
+
+  /* Wire: open history dialog and draw the list */
+  elOpenHistory.addEventListener("click", async () => { /* Attach click handler to the history button */
+    dlgHistory.showModal(); /* Open the modal dialog */
+    await renderHistoryProjects(); /* Load project options */
+    renderHistory(); /* Draw the saved entries */
+  }); /* End open history handler */
+
+  /* Wire: filters redraw the list as the user types or toggles */
+  elHistorySearch.addEventListener("input", renderHistory); /* Search as the user types */
+  elHistorySearch.addEventListener("keydown", (e) => { if (e.key === "Enter") e.preventDefault(); }); /* Keep Enter from closing the dialog */
+  elHistoryProject.addEventListener("change", renderHistory); /* Filter by project */
+  elHistoryStarred.addEventListener("change", renderHistory); /* Filter by star */
+
+  /* Wire: export the selected project, or everything, as JSON */
+  elHistoryExport.addEventListener("click", async () => { /* Attach click handler to export button */
+    const project = elHistoryProject.value; /* Read the selected project */
+    const json = await window.PromptHistory.exportJson(project); /* Serialize matching entries */
+    downloadText(`prompt-history${project ? `-${project}` : ""}.json`, json, "application/json"); /* Save the file */
+  }); /* End export handler */
+
+  /* Wire: import a shared history file */
+  elHistoryImport.addEventListener("change", async () => { /* Attach change handler to the file input */
+    const file = elHistoryImport.files[0]; /* Read the chosen file */
+    if (!file) return; /* Ignore cancelled pickers */
+    try { /* Try block to surface malformed files */
+      const { added, skipped } = await window.PromptHistory.importJson(await file.text()); /* Add the file's usable entries */
+      const skippedNote = skipped.length ? `\n잘못된 항목 ${skipped.length}개는 건너뛰었습니다: ${skipped.map(s => `#${s.index} (${s.problem})`).join(", ")}` : ""; /* List skipped entries */
+      window.alert(`${added}개의 기록을 가져왔습니다.${skippedNote}`); /* Confirm the import */
+    } catch (err) { /* Catch parse or format errors */
+      window.alert(`가져오기 실패: ${err.message}`); /* Explain the failure */
+    }
+    elHistoryImport.value = ""; /* Allow importing the same file again */
+    await renderHistoryProjects(); /* Refresh project options */
+    renderHistory(); /* Redraw the list */
+  }); /* End import handler */
+
+  /* Keep the last batch results for the download buttons */
+  let batchResults = []; /* Results of the most recent batch run */
+
+  /* UI helper to draw the batch results table */
+  function renderBatchResults() { /* Define function that fills the results table */
+    elBatchRows.textContent = ""; /* Clear the previous rows */
+    batchResults.forEach(result => { /* Create one table row per result */
+      const tr = document.createElement("tr"); /* Create the row */
+      const cells = [result.row, result.model, result.engine, result.status, result.status === "ok" ? [result.prompt, result.params, result.warnings && `⚠ ${result.warnings}`].filter(Boolean).join("\n") : result.error]; /* Values for each column */
+      cells.forEach((value, i) => { /* Create one cell per value */
+        const td = document.createElement("td"); /* Create the cell */
+        td.textContent = String(value); /* Put the value inside */
+        if (i === 3) td.className = `status-${result.status}`; /* Color the status column */
+        if (i === 4) td.classList.add("cell-prompt"); /* Use monospace for prompts */
+        tr.append(td); /* Add the cell */
+      }); /* End cell loop */
+      elBatchRows.append(tr); /* Add the row */
+    }); /* End result loop */
+    const ok = batchResults.filter(result => result.status === "ok").length; /* Count successful rows */
+    elBatchSummary.textContent = batchResults.length ? `${batchResults.length}행 중 ${ok}행 성공, ${batchResults.length - ok}행 실패` : ""; /* Summarize the run */
+    [elBatchCsv, elBatchJsonl, elBatchText].forEach(button => { button.disabled = !batchResults.length; }); /* Enable downloads when there are results */
+  } /* End renderBatchResults */
+
+  /* Wire: open batch dialog */
+  elOpenBatch.addEventListener("click", () => dlgBatch.showModal()); /* Open the modal dialog */
+
+  /* Wire: convert every row as soon as a file is chosen */
+  elBatchFile.addEventListener("change", async () => { /* Attach change handler to the file input */
+    const file = elBatchFile.files[0]; /* Read the chosen file */
+    if (!file) return; /* Ignore cancelled pickers */
+    const rows = window.BatchConverter.parse(file.name, await file.text()); /* Parse CSV or JSONL rows */
+    batchResults = window.BatchConverter.run(rows, { /* Convert rows using form values as defaults */
+      model: elModel.value, /* Default model */
+      engine: elEngine.value, /* Default engine */
+      aspect: elAspect.value.trim(), /* Default aspect ratio */
+      seed: elSeed.value.trim(), /* Default seed */
+      negative: elNeg.value.trim(), /* Default negative prompt */
+      stylize: Number(elStylize.value || 50), /* Stylization value for every row */
+      customGuideline: elCustomGuideline.value.trim() /* Custom guideline for every row */
+    }); /* End defaults */
+    elBatchFile.value = ""; /* Allow running the same file again */
+    renderBatchResults(); /* Draw the results */
+  }); /* End batch file handler */
+
+  /* Wire: download batch results in each format */
+  elBatchCsv.addEventListener("click", () => downloadText("prompts.csv", window.BatchConverter.toCsv(batchResults), "text/csv")); /* Save CSV results */
+  elBatchJsonl.addEventListener("click", () => downloadText("prompts.jsonl", window.BatchConverter.toJsonl(batchResults), "application/x-ndjson")); /* Save JSONL results */
+  elBatchText.addEventListener("click", () => downloadText("prompts.txt", window.BatchConverter.toText(batchResults), "text/plain")); /* Save ready-to-paste prompts */
+
+  /* UI helper to list one checkbox per loaded model, keeping previous choices */
+  function renderCompareModels() { /* Define function that draws model checkboxes */
+    const previous = new Set(Array.from(elCompareModels.querySelectorAll("input:checked")).map(input => input.value)); /* Remember checked models */
+    const firstRender = !elCompareModels.children.length; /* Check every model the first time */
+    elCompareModels.textContent = ""; /* Clear previous checkboxes */
+    (window.GlobalGuidelines.models || []).forEach(model => { /* Create one checkbox per model */
+      const label = document.createElement("label"); /* Wrapper label */
+      label.className = "checkbox"; /* Inline checkbox styling */
+      const input = document.createElement("input"); /* Checkbox element */
+      input.type = "checkbox"; /* Make it a checkbox */
+      input.value = model.id; /* Store the model ID */
+      input.checked = firstRender || previous.has(model.id); /* Restore or default the choice */
+      label.append(input, ` ${model.name}`); /* Show the model name next to the box */
+      elCompareModels.append(label); /* Add the checkbox */
+    }); /* End model loop */
+  } /* End renderCompareModels */
+
+  /* UI helper to create one comparison column */
+  function compareColumn(column, differingSlots) { /* Define function that draws a model's result */
+    const { model, result } = column; /* Read the model and its prompt */
+    const card = document.createElement("div"); /* Column container */
+    card.className = "compare-column"; /* Use column styling */
+    const title = document.createElement("h4"); /* Model heading */
+    title.textContent = `${model.name} ${model.latest}`; /* Show name and version */
+    const summary = document.createElement("pre"); /* Guideline summary block */
+    summary.className = "pre small"; /* Use preformatted styling */
+    summary.textContent = guidelineSummary(model); /* Show the model's rules */
+    const slots = document.createElement("dl"); /* Slot values list */
+    slots.className = "slot-list"; /* Use two-column styling */
+    window.ModelComparison.slots.forEach(slot => { /* Add every compared slot */
+      const dt = document.createElement("dt"); /* Slot name */
+      dt.textContent = slot; /* Show the slot name */
+      const dd = document.createElement("dd"); /* Slot value */
+      dd.textContent = result.slots[slot]; /* Show this model's value */
+      if (differingSlots.includes(slot)) dd.className = "slot-diff"; /* Highlight values that differ between models */
+      slots.append(dt, dd); /* Add the pair */
+    }); /* End slot loop */
+    const prompt = document.createElement("pre"); /* Full prompt block */
+    prompt.className = "output compact"; /* Use dark output styling */
+    prompt.textContent = result.full; /* Show the full prompt */
+    const params = document.createElement("div"); /* Parameter line */
+    params.className = "history-meta"; /* Use muted styling */
+    params.textContent = result.params || "(파라미터 없음)"; /* Show the parameter line */
+    const copy = document.createElement("button"); /* Copy button for this column */
+    copy.type = "button"; /* Keep the dialog open when clicked */
+    copy.className = "button"; /* Use the generic button style */
+    copy.textContent = "복사"; /* Button label */
+    copy.addEventListener("click", async () => { /* Copy this column's prompt */
+      try { await navigator.clipboard.writeText(result.full); } catch {} /* Attempt to copy and ignore errors */
+    }); /* End copy handler */
+    card.append(title, summary, slots, prompt, params, copy); /* Assemble the column */
+    return card; /* Provide the column to the caller */
+  } /* End compareColumn */
+
+  /* Wire: open comparison dialog with fresh model checkboxes */
+  elOpenCompare.addEventListener("click", () => { /* Attach click handler to the comparison button */
+    renderCompareModels(); /* Draw model checkboxes for the loaded guidelines */
+    dlgCompare.showModal(); /* Open the modal dialog */
+  }); /* End open comparison handler */
+
+  /* Wire: run the comparison with the current form input */
+  elCompareRun.addEventListener("click", () => { /* Attach click handler to the run button */
+    const chosen = Array.from(elCompareModels.querySelectorAll("input:checked")).map(input => input.value); /* Read chosen model IDs */
+    elCompareColumns.textContent = ""; /* Clear previous columns */
+    if (!chosen.length) { /* Nothing to compare */
+      elCompareSkipped.textContent = "비교할 모델을 하나 이상 선택하세요."; /* Ask for a selection instead of comparing every model */
+      return; /* Exit early */
+    }
+    const customGuideline = elCustomGuideline.value.trim(); /* Read custom guideline text */
+    const sourceText = elKo.value.trim(); /* Read the main Korean description text */
+    const prefixed = customGuideline ? `${customGuideline}\n${sourceText}` : sourceText; /* Prepend custom rules if any */
+    const uiOptions = { aspect: elAspect.value.trim(), stylize: Number(elStylize.value || 50), seed: elSeed.value.trim(), negative: elNeg.value.trim() }; /* Read shared options */
+    const comparison = window.ModelComparison.run(prefixed, elEngine.value, uiOptions, chosen); /* Build every chosen model's prompt */
+    comparison.columns.forEach(column => elCompareColumns.append(compareColumn(column, comparison.differingSlots))); /* Draw one column per model */
+    elCompareSkipped.textContent = comparison.skipped.length ? `제외됨: ${comparison.skipped.map(s => `${s.id} (${s.reason})`).join(", ")}` : ""; /* Explain skipped models */
+  }); /* End run comparison handler */
 }); /* End DOMContentLoaded listener */
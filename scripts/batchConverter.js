@@ -0,0 +1,143 @@
+/* Batch conversion: parse CSV or JSONL rows, run them through the installed builders and export results */
+"use strict"; /* Enforce strict mode for safer JavaScript */
+
+/* Column names accepted for the Korean description, first match wins */
+const BATCH_TEXT_COLUMNS = ["text", "description", "korean", "설명"]; /* Header aliases for the source text */
+
+/* Columns written to CSV exports, in order */
+const BATCH_EXPORT_COLUMNS = ["row", "status", "error", "warnings", "model", "engine", "aspect", "seed", "negative", "text", "prompt", "params"]; /* Export layout */
+
+/* Parse CSV text into an array of row objects keyed by the header row */
+function parseCsv(text) { /* Define a small RFC 4180 style parser */
+  const records = []; /* Collect parsed records as arrays of cells */
+  let record = []; /* Cells of the current record */
+  let cell = ""; /* Characters of the current cell */
+  let quoted = false; /* Whether the cursor is inside a quoted cell */
+  const source = String(text).replace(/^\uFEFF/, ""); /* Drop a UTF-8 byte order mark from spreadsheet exports */
+  for (let i = 0; i < source.length; i++) { /* Walk every character */
+    const ch = source[i]; /* Current character */
+    if (quoted) { /* Inside quotes only a closing quote is special */
+      if (ch === '"' && source[i + 1] === '"') { cell += '"'; i++; } /* Escaped quote */
+      else if (ch === '"') quoted = false; /* Closing quote */
+      else cell += ch; /* Literal character including commas and newlines */
+    } else if (ch === '"') quoted = true; /* Opening quote */
+    else if (ch === ",") { record.push(cell); cell = ""; } /* End of cell */
+    else if (ch === "\n" || ch === "\r") { /* End of record */
+      if (ch === "\r" && source[i + 1] === "\n") i++; /* Treat CRLF as one line break */
+      record.push(cell); /* Finish the last cell */
+      records.push(record); /* Finish the record */
+      record = []; /* Start a new record */
+      cell = ""; /* Start a new cell */
+    } else cell += ch; /* Regular character */
+  }
+  if (cell !== "" || record.length) { record.push(cell); records.push(record); } /* Finish a file without a trailing newline */
+
+  const [header = [], ...rows] = records.filter(r => r.some(c => c.trim() !== "")); /* Skip blank lines and split off the header */
+  const keys = header.map(h => h.trim().toLowerCase()); /* Normalize header names */
+  return rows.map(cells => Object.fromEntries(keys.map((key, i) => [key, (cells[i] || "").trim()]))); /* Build one object per row */
+} /* End parseCsv */
+
+/* Parse JSONL text into row objects keyed like CSV headers, keeping parse errors as rows so they show up in the results */
+function parseJsonl(text) { /* Define JSON Lines parser */
+  return String(text).split(/\r?\n/).filter(line => line.trim()).map((line, i) => { /* One object per non-empty line */
+    try { /* Try block to keep going past malformed lines */
+      const value = JSON.parse(line); /* Parse the line */
+      if (value === null || typeof value !== "object" || Array.isArray(value)) throw new Error("line is not a JSON object"); /* Require an object per line */
+      return Object.fromEntries(Object.entries(value).map(([key, cell]) => [key.trim().toLowerCase(), cell])); /* Normalize keys the same way as CSV header names */
+    } catch (err) { /* Catch malformed lines */
+      return { __error: `Line ${i + 1}: ${err.message}` }; /* Record the problem for the results table */
+    }
+  }); /* End map */
+} /* End parseJsonl */
+
+/* Parse an uploaded file by extension, falling back to sniffing the first character */
+function parseBatchFile(fileName, text) { /* Define format dispatcher */
+  const name = String(fileName || "").toLowerCase(); /* Normalize the file name */
+  if (/\.(jsonl|ndjson)$/.test(name)) return parseJsonl(text); /* JSON Lines by extension */
+  if (/\.csv$/.test(name)) return parseCsv(text); /* CSV by extension */
+  return String(text).trim().startsWith("{") ? parseJsonl(text) : parseCsv(text); /* Guess from the content */
+} /* End parseBatchFile */
+
+/* Helper: split a built prompt into the prompt body and its Parameters line */
+function splitPromptBody(full) { /* Define prompt splitter */
+  return full.replace(/^Parameters:.*$/m, "").trim(); /* Remove the parameter line from the body */
+} /* End splitPromptBody */
+
+/* Run every row through the installed builders and return one result per row */
+function runBatch(rows, defaults) { /* Define the batch runner */
+  const builders = globalThis.PromptEngines.builders || {}; /* Read installed builders */
+  const models = globalThis.GlobalGuidelines.models || []; /* Read loaded model records */
+  return rows.map((row, i) => { /* Convert each row independently */
+    const pick = (key) => (row[key] !== undefined && String(row[key]).trim() !== "" ? String(row[key]).trim() : defaults[key] || ""); /* Row value or form default */
+    const textKey = BATCH_TEXT_COLUMNS.find(key => row[key] !== undefined && String(row[key]).trim() !== ""); /* Find the description column */
+    const result = { /* Start the result record */
+      row: i + 1, /* One-based row number */
+      status: "error", /* Assume failure until the builder succeeds */
+      error: "", /* Failure reason */
+      warnings: "", /* Durations and parameter values the model adjusted or left out */
+      model: pick("model"), /* Row model or default */
+      engine: pick("engine"), /* Row engine or default */
+      aspect: pick("aspect"), /* Row aspect or default */
+      seed: pick("seed"), /* Row seed or default */
+      negative: pick("negative"), /* Row negative or default */
+      text: textKey ? String(row[textKey]).trim() : "", /* Korean description */
+      prompt: "", /* Prompt body without parameters */
+      params: "" /* Parameter line */
+    }; /* End result record */
+    try { /* Try block so one bad row does not stop the batch */
+      if (row.__error) throw new Error(row.__error); /* Surface JSONL parse errors */
+      if (!result.text) throw new Error(`Missing description column (${BATCH_TEXT_COLUMNS.join(", ")})`); /* Require a description */
+      const builder = builders[result.model]; /* Lookup the builder for the row's model */
+      if (!builder) throw new Error(`Unknown model "${result.model}"`); /* Reject unknown models */
+      const model = models.find(m => m.id === result.model); /* Find the model record */
+      if (model && !model.engines.includes(result.engine)) throw new Error(`Model "${result.model}" does not support engine "${result.engine}"`); /* Reject unsupported engines */
+      const prefixed = defaults.customGuideline ? `${defaults.customGuideline}\n${result.text}` : result.text; /* Prepend custom rules if any */
+      const built = builder(prefixed, result.engine, { aspect: result.aspect, stylize: Number(defaults.stylize ?? 50), seed: result.seed, negative: result.negative }); /* Build the prompt */
+      result.prompt = splitPromptBody(built.full); /* Keep the prompt body */
+      result.params = built.params; /* Keep the parameter line in its own column */
+      result.warnings = (built.warnings || []).map(w => w.message).join(" "); /* Keep the builder's notes with the row */
+      result.status = "ok"; /* Mark success */
+    } catch (err) { /* Catch row failures */
+      result.error = err.message; /* Record the reason */
+    }
+    return result; /* Provide the row result */
+  }); /* End map */
+} /* End runBatch */
+
+/* Helper: quote a CSV cell when it contains separators, quotes or line breaks */
+function csvCell(value) { /* Define CSV cell encoder */
+  const text = String(value ?? ""); /* Normalize to string */
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text; /* Quote only when required */
+} /* End csvCell */
+
+/* Serialize batch results as CSV with a header row */
+function batchToCsv(results) { /* Define CSV export */
+  const lines = [BATCH_EXPORT_COLUMNS.join(",")]; /* Start with the header */
+  results.forEach(result => lines.push(BATCH_EXPORT_COLUMNS.map(key => csvCell(result[key])).join(","))); /* One line per result */
+  return "\uFEFF" + lines.join("\r\n") + "\r\n"; /* Add a byte order mark so spreadsheets read Korean correctly */
+} /* End batchToCsv */
+
+/* Serialize batch results as JSON Lines */
+function batchToJsonl(results) { /* Define JSONL export */
+  return results.map(result => JSON.stringify(result)).join("\n") + "\n"; /* One JSON object per line */
+} /* End batchToJsonl */
+
+/* Serialize successful results as ready-to-paste prompts separated by blank lines */
+function batchToPromptText(results) { /* Define plain-text export */
+  return results /* Start from all results */
+    .filter(result => result.status === "ok") /* Skip failed rows */
+    .map(result => [result.prompt, result.params].filter(Boolean).join(" ")) /* Prompt followed by its parameters */
+    .join("\n\n") + "\n"; /* Separate prompts with a blank line */
+} /* End batchToPromptText */
+
+/* Export batch helpers to the global object for usage in app.js and userLexicon.js */
+globalThis.BatchConverter = { /* Attach batch API to a global object */
+  parse: parseBatchFile, /* Parse an uploaded file */
+  run: runBatch, /* Convert parsed rows */
+  toCsv: batchToCsv, /* Export as CSV */
+  toJsonl: batchToJsonl, /* Export as JSONL */
+  toText: batchToPromptText, /* Export as ready-to-paste text */
+  parseCsv, /* Shared CSV reader for other importers */
+  csvCell /* Shared CSV cell encoder for other exporters */
+}; /* End batch API */
+if (typeof module !== "undefined" && module.exports) module.exports = globalThis.BatchConverter; /* Also export it for require() from Node scripts */
@@ -0,0 +1,120 @@
+/* Command-line converter that builds prompts from Korean descriptions with the same core as the page */
+"use strict"; /* Enforce strict mode for safer JavaScript */
+
+const fs = require("fs"); /* Read guideline files and stdin */
+const path = require("path"); /* Resolve the bundled guidelines path */
+const PromptEngines = require("./promptEngines.js"); /* Builders, parsers and the template language */
+const GuidelineUpdater = require("./updateManager.js"); /* Layer merging and schema checks */
+
+/* Usage text printed for --help and argument errors */
+const CLI_USAGE = `Usage: node scripts/cli.js [options] [Korean description]
+
+Reads the description from the arguments, or from stdin when none are given.
+
+Options:
+  -m, --model <id>          Model ID from the guidelines (default: first model)
+  -e, --engine <engine>     text-to-image, text-to-video or image-to-video (default: the model's first engine)
+  -a, --aspect <ratio>      Aspect ratio such as 3:4
+  -s, --seed <number>       Seed value
+  -n, --negative <text>     Negative prompt in Korean or English
+      --stylize <0-100>     Stylization strength (default: 50)
+  -g, --guidelines <path>   Guidelines file; repeat to layer files, later files win per model id
+                            (default: assets/models.json)
+      --storyboard          Build a multi-shot storyboard for video engines
+      --json                Print the full result as JSON
+  -h, --help                Show this help`;
+
+/* Options that take a value, keyed by every accepted spelling */
+const CLI_VALUE_OPTIONS = { /* Map of flag to option name */
+  "-m": "model", "--model": "model", /* Model ID */
+  "-e": "engine", "--engine": "engine", /* Engine */
+  "-a": "aspect", "--aspect": "aspect", /* Aspect ratio */
+  "-s": "seed", "--seed": "seed", /* Seed */
+  "-n": "negative", "--negative": "negative", /* Negative prompt */
+  "--stylize": "stylize", /* Stylization strength */
+  "-g": "guidelines", "--guidelines": "guidelines" /* Guidelines file, repeatable */
+}; /* End value options */
+
+/* Parse command-line arguments into options and description words */
+function parseCliArgs(argv) { /* Define argument parser */
+  const options = { guidelines: [], words: [], json: false, storyboard: false, help: false }; /* Defaults */
+  for (let i = 0; i < argv.length; i++) { /* Walk every argument */
+    const arg = argv[i]; /* Current argument */
+    const [flag, inline] = arg.startsWith("--") && arg.includes("=") ? [arg.slice(0, arg.indexOf("=")), arg.slice(arg.indexOf("=") + 1)] : [arg, undefined]; /* Support --name=value */
+    const name = CLI_VALUE_OPTIONS[flag]; /* Option that takes a value */
+    if (name) { /* Read the value */
+      const value = inline !== undefined ? inline : argv[++i]; /* Inline or next argument */
+      if (value === undefined) throw new Error(`Missing value for ${flag}`); /* Reject a trailing flag */
+      if (name === "guidelines") options.guidelines.push(value); /* Collect layered files */
+      else options[name] = value; /* Keep the value */
+    } else if (arg === "--json") options.json = true; /* JSON output */
+    else if (arg === "--storyboard") options.storyboard = true; /* Storyboard mode */
+    else if (arg === "-h" || arg === "--help") options.help = true; /* Help */
+    else if (arg === "--") { options.words.push(...argv.slice(i + 1)); break; } /* Everything after -- is text */
+    else if (arg.startsWith("-") && arg.length > 1) throw new Error(`Unknown option ${arg}`); /* Reject typos */
+    else options.words.push(arg); /* Description word */
+  }
+  return options; /* Provide the parsed options */
+} /* End parseCliArgs */
+
+/* Read guideline files, merge them in order and validate the result */
+function loadGuidelineFiles(files) { /* Define file loader */
+  let merged = null; /* Guidelines merged so far */
+  files.forEach(file => { /* Walk files from lowest to highest priority */
+    const data = JSON.parse(fs.readFileSync(file, "utf8")); /* Parse the file */
+    GuidelineUpdater.assertLayer(data, file); /* Reject files that cannot be merged */
+    merged = GuidelineUpdater.mergeLayers(merged, data); /* Merge over the lower files */
+  }); /* End file loop */
+  const report = GuidelineUpdater.assertValid(merged, files.join(" + ")); /* Reject invalid merged guidelines */
+  return { data: merged, warnings: report.warnings }; /* Provide the guidelines and validation notices */
+} /* End loadGuidelineFiles */
+
+/* Build one prompt from parsed options and return the result object */
+function runCli(options, text) { /* Define the conversion */
+  const files = options.guidelines.length ? options.guidelines : [path.join(__dirname, "..", "assets", "models.json")]; /* Bundled file by default */
+  const { data, warnings } = loadGuidelineFiles(files); /* Load the guidelines */
+  PromptEngines.installFromGuidelines(data); /* Register builders for every model */
+  const model = options.model ? data.models.find(m => m.id === options.model) : data.models[0]; /* Pick the model */
+  if (!model) throw new Error(`Unknown model "${options.model}". Available: ${data.models.map(m => m.id).join(", ")}`); /* Reject unknown models */
+  const engine = options.engine || model.engines[0]; /* Pick the engine */
+  if (!model.engines.includes(engine)) throw new Error(`Model "${model.id}" does not support engine "${engine}". Supported: ${model.engines.join(", ")}`); /* Reject unsupported engines */
+  if (options.storyboard && engine === "text-to-image") throw new Error("Storyboard mode needs a video engine."); /* Match the page's storyboard rule */
+  const registry = options.storyboard ? PromptEngines.storyboards : PromptEngines.builders; /* Pick single prompt or storyboard */
+  if (!registry[model.id]) throw new Error(`Model "${model.id}" has no storyboard section.`); /* Only some models support storyboards */
+  const uiOptions = { aspect: options.aspect || "", stylize: Number(options.stylize ?? 50), seed: options.seed || "", negative: options.negative || "" }; /* Same options the form passes */
+  const result = registry[model.id](text, engine, uiOptions); /* Build the prompt */
+  return Object.assign({ model: model.id, engine, guidelineVersion: data.version, guidelineWarnings: warnings }, result); /* Include the inputs with the result */
+} /* End runCli */
+
+/* Read all of stdin as text */
+function readStdin() { /* Define stdin reader */
+  return new Promise((resolve, reject) => { /* Resolve once the stream ends */
+    let text = ""; /* Collected input */
+    process.stdin.setEncoding("utf8"); /* Decode as UTF-8 */
+    process.stdin.on("data", chunk => { text += chunk; }); /* Append each chunk */
+    process.stdin.on("end", () => resolve(text)); /* Finish at end of input */
+    process.stdin.on("error", reject); /* Surface read errors */
+  }); /* End promise */
+} /* End readStdin */
+
+/* Entry point: parse arguments, read the description, print the prompt or JSON */
+async function main() { /* Define the CLI entry point */
+  try { /* Try block to turn errors into a message and exit code */
+    const options = parseCliArgs(process.argv.slice(2)); /* Parse the arguments */
+    if (options.help) { console.log(CLI_USAGE); return; } /* Print help and stop */
+    if (!options.words.length && process.stdin.isTTY) throw new Error("No description given. Pass it as an argument or pipe it to stdin."); /* Avoid waiting on an interactive terminal */
+    const text = (options.words.length ? options.words.join(" ") : await readStdin()).trim(); /* Arguments win over stdin */
+    if (!text) throw new Error("The description is empty."); /* Require some text */
+    const result = runCli(options, text); /* Build the prompt */
+    if (options.json) { console.log(JSON.stringify(result, null, 2)); return; } /* Print everything as JSON */
+    (result.warnings || []).forEach(w => console.error(`warning: ${w.message}`)); /* Notes go to stderr */
+    console.log(result.full); /* Print the prompt alone so it can be piped */
+  } catch (err) { /* Catch argument, file and build errors */
+    console.error(`error: ${err.message}`); /* Explain the failure */
+    if (/^(Missing value|Unknown option)/.test(err.message)) console.error(`\n${CLI_USAGE}`); /* Show usage for argument mistakes */
+    process.exitCode = 1; /* Signal failure to scripts */
+  }
+} /* End main */
+
+if (require.main === module) main(); /* Run only when executed directly */
+module.exports = { parseCliArgs, loadGuidelineFiles, runCli }; /* Allow pipeline scripts to reuse the CLI steps */
@@ -0,0 +1,133 @@
+/* Form state permalinks in the URL hash and named presets stored in localStorage with JSON import and export */
+"use strict"; /* Enforce strict mode for safer JavaScript */
+
+/* Persistent key for saved presets */
+const PRESET_STORAGE_KEY = "presets.saved"; /* Key name for saving presets */
+
+/* Format marker written into exported preset files so imports can recognize them */
+const PRESET_FORMAT = "prompt-hub-preset"; /* Identifier for exported preset files */
+
+/* Form fields and the short names used for them in permalinks */
+const FORM_STATE_KEYS = { /* Map of state field to URL parameter */
+  sourceText: "text", /* Korean description */
+  model: "model", /* Selected model ID */
+  engine: "engine", /* Selected engine */
+  storyboard: "storyboard", /* Multi-shot mode flag */
+  negative: "negative", /* Negative prompt text */
+  stylize: "stylize", /* Stylization slider value */
+  aspect: "aspect", /* Aspect ratio text */
+  seed: "seed", /* Seed text */
+  customGuideline: "guideline" /* Custom guideline text */
+}; /* End key map */
+
+/* Helper: fill in defaults so every state has the same shape */
+function normalizeFormState(state) { /* Define state normalizer */
+  const stylize = Number(state.stylize); /* Parse the slider value */
+  return { /* Return a state with every field present */
+    sourceText: String(state.sourceText || ""), /* Korean description */
+    model: String(state.model || ""), /* Selected model ID */
+    engine: String(state.engine || ""), /* Selected engine */
+    storyboard: state.storyboard === true || state.storyboard === "1", /* Multi-shot mode flag from booleans or URL text */
+    negative: String(state.negative || ""), /* Negative prompt text */
+    stylize: Number.isFinite(stylize) ? Math.min(100, Math.max(0, stylize)) : 50, /* Slider value kept in its 0-100 range */
+    aspect: String(state.aspect || ""), /* Aspect ratio text */
+    seed: String(state.seed || ""), /* Seed text */
+    customGuideline: String(state.customGuideline || "") /* Custom guideline text */
+  }; /* End state */
+} /* End normalizeFormState */
+
+/* Encode a form state and the guidelines version as a URL hash without the leading # */
+function encodeFormState(state, guidelineVersion) { /* Define permalink encoder */
+  const query = new URLSearchParams(); /* Build URL parameters */
+  const normalized = normalizeFormState(state); /* Fill in defaults */
+  Object.entries(FORM_STATE_KEYS).forEach(([field, param]) => { /* Walk every form field */
+    const value = field === "storyboard" ? (normalized.storyboard ? "1" : "") : String(normalized[field]); /* Flags become 1 or nothing */
+    if (value !== "") query.set(param, value); /* Skip empty fields to keep links short */
+  }); /* End field loop */
+  if (guidelineVersion) query.set("version", guidelineVersion); /* Record the guidelines the link was made with */
+  return query.toString(); /* Provide the encoded hash */
+} /* End encodeFormState */
+
+/* Decode a URL hash into { state, guidelineVersion }, or null when it holds no form state */
+function decodeFormState(hash) { /* Define permalink decoder */
+  const query = new URLSearchParams(String(hash || "").replace(/^#/, "")); /* Parse the hash as URL parameters */
+  if (!query.has(FORM_STATE_KEYS.sourceText) && !query.has(FORM_STATE_KEYS.model)) return null; /* Ignore unrelated hashes */
+  const raw = {}; /* Collect field values */
+  Object.entries(FORM_STATE_KEYS).forEach(([field, param]) => { if (query.has(param)) raw[field] = query.get(param); }); /* Read every present field */
+  if (!query.has(FORM_STATE_KEYS.stylize)) raw.stylize = 50; /* Missing slider means the default */
+  return { state: normalizeFormState(raw), guidelineVersion: query.get("version") || "" }; /* Provide the state and its version */
+} /* End decodeFormState */
+
+/* Read saved presets as an array of { name, guidelineVersion, createdAt, state } */
+function readPresetStore() { /* Define store reader */
+  try { /* Try block to ignore corrupt storage */
+    const data = JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY) || "[]"); /* Parse the stored JSON */
+    return Array.isArray(data) ? data : []; /* Only arrays are valid */
+  } catch { /* Catch parse errors */
+    return []; /* Start over with no presets */
+  }
+} /* End readPresetStore */
+
+/* Persist the preset list */
+function writePresetStore(presets) { /* Define store writer */
+  localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets)); /* Save the JSON string */
+} /* End writePresetStore */
+
+/* List presets sorted by name */
+function listPresets() { /* Define listing */
+  return readPresetStore().sort((a, b) => a.name.localeCompare(b.name)); /* Stable order for the select */
+} /* End listPresets */
+
+/* Find one preset by name */
+function getPreset(name) { /* Define single read */
+  return readPresetStore().find(preset => preset.name === name) || null; /* Matching preset or null */
+} /* End getPreset */
+
+/* Save a preset under a name, replacing any preset with the same name, and return it */
+function savePreset(name, state, guidelineVersion) { /* Define writer */
+  const key = String(name || "").trim(); /* Normalize the name */
+  if (!key) throw new Error("Preset name must not be empty."); /* Require a name */
+  const preset = { name: key, guidelineVersion: guidelineVersion || "", createdAt: new Date().toISOString(), state: normalizeFormState(state) }; /* Build the record */
+  writePresetStore(readPresetStore().filter(p => p.name !== key).concat(preset)); /* Replace or append */
+  return preset; /* Provide the saved record */
+} /* End savePreset */
+
+/* Delete one preset by name */
+function deletePreset(name) { /* Define delete */
+  writePresetStore(readPresetStore().filter(preset => preset.name !== name)); /* Keep every other preset */
+} /* End deletePreset */
+
+/* Export one preset as JSON text */
+function exportPreset(name) { /* Define JSON export */
+  const preset = getPreset(name); /* Load the preset */
+  if (!preset) throw new Error(`Preset "${name}" not found.`); /* Surface a missing preset */
+  return JSON.stringify(Object.assign({ format: PRESET_FORMAT }, preset), null, 2); /* Pretty-print with a format marker */
+} /* End exportPreset */
+
+/* Import a preset from exported JSON text, save it and return it */
+function importPreset(jsonText) { /* Define JSON import */
+  const data = JSON.parse(jsonText); /* Parse the file contents */
+  if (!data || data.format !== PRESET_FORMAT || !data.state || typeof data.state !== "object") { /* Reject unrelated files */
+    throw new Error("Not a prompt preset file."); /* Surface the problem to the caller */
+  }
+  return savePreset(data.name, data.state, data.guidelineVersion); /* Save under the file's name */
+} /* End importPreset */
+
+/* Describe a guidelines version mismatch, or return an empty string when versions match or are unknown */
+function describeVersionMismatch(savedVersion, currentVersion) { /* Define mismatch message */
+  if (!savedVersion || !currentVersion || savedVersion === currentVersion) return ""; /* Nothing to report */
+  return `가이드라인 버전 ${savedVersion}에서 만든 설정입니다. 현재 버전은 ${currentVersion}이므로 결과가 다를 수 있습니다.`; /* Explain the difference */
+} /* End describeVersionMismatch */
+
+/* Export preset helpers to the global window for usage in app.js */
+window.FormPresets = { /* Attach preset API to a global object */
+  encode: encodeFormState, /* Form state to URL hash */
+  decode: decodeFormState, /* URL hash to form state */
+  list: listPresets, /* Saved presets */
+  get: getPreset, /* One preset by name */
+  save: savePreset, /* Save or replace a preset */
+  remove: deletePreset, /* Delete a preset */
+  exportJson: exportPreset, /* Export one preset as JSON */
+  importJson: importPreset, /* Import a preset file */
+  versionMismatch: describeVersionMismatch /* Warning text for differing guidelines */
+}; /* End preset API */
@@ -0,0 +1,294 @@
+/* Schema validator and version diff for models.json style guideline files */
+"use strict"; /* Enforce strict mode for safer JavaScript */
+if (typeof module !== "undefined" && module.exports) require("./promptEngines.js"); /* In Node, load the builders that provide template names, which also loads the template language */
+
+/* Engines the UI knows how to offer; other values are allowed but reported as warnings */
+const KNOWN_ENGINES = ["text-to-image", "text-to-video", "image-to-video"]; /* Mirror the options in select-engine */
+
+/* Parameters every builder composes; each needs a "<name>Key" flag unless its schema marks it unsupported */
+const PARAM_NAMES = ["aspect", "stylize", "seed", "negative"]; /* Parameters consumed by createBuilder */
+
+/* Value types a parameter schema may declare */
+const PARAM_TYPES = ["integer", "number", "ratio", "text"]; /* Types understood by ParamSchema.resolve */
+
+/* Helper: true when the value is a plain object and not an array or null */
+function isPlainObject(value) { /* Define a small type guard */
+  return value !== null && typeof value === "object" && !Array.isArray(value); /* Reject null and arrays */
+} /* End isPlainObject */
+
+/* Helper: true when the value is a string with visible content */
+function isNonEmptyString(value) { /* Define a small type guard for strings */
+  return typeof value === "string" && value.trim() !== ""; /* Reject non-strings and blank strings */
+} /* End isNonEmptyString */
+
+/* Validate a Korean→English lexicon map */
+function validateLexicon(lexicon, label, errors) { /* Define lexicon validation */
+  if (!isPlainObject(lexicon)) { /* Lexicon must be an object */
+    errors.push(`${label}: "lexicon" must be an object.`); /* Report wrong lexicon type */
+    return; /* Nothing else can be checked */
+  }
+  Object.entries(lexicon).forEach(([term, value]) => { /* Loop over lexicon entries */
+    if (!isNonEmptyString(value)) errors.push(`${label}: lexicon entry "${term}" must map to a non-empty string.`); /* Report empty translations */
+  }); /* End lexicon loop */
+} /* End validateLexicon */
+
+/* Helper: true when the value is a two-number array such as [0, 100] */
+function isNumberPair(value) { /* Define range pair guard */
+  return Array.isArray(value) && value.length === 2 && value.every(n => typeof n === "number" && Number.isFinite(n)) && value[0] !== value[1]; /* Require two distinct finite numbers */
+} /* End isNumberPair */
+
+/* Validate one parameter schema such as params.stylize */
+function validateParamSpec(spec, label, errors) { /* Define schema validation */
+  if (!isPlainObject(spec)) { /* Schema must be an object */
+    errors.push(`${label} must be an object.`); /* Report the wrong type */
+    return; /* Nothing else can be checked */
+  }
+  if (spec.supported !== undefined && typeof spec.supported !== "boolean") errors.push(`${label}.supported must be true or false.`); /* Check the support flag */
+  if (spec.supported === false) return; /* Unsupported parameters need no further detail */
+  if (spec.type !== undefined && !PARAM_TYPES.includes(spec.type)) errors.push(`${label}.type must be one of ${PARAM_TYPES.join(", ")}.`); /* Check the type */
+  ["min", "max"].forEach(key => { /* Optional numeric bounds */
+    if (spec[key] !== undefined && !(typeof spec[key] === "number" && Number.isFinite(spec[key]))) errors.push(`${label}.${key} must be a number.`); /* Report non-numeric bounds */
+  }); /* End bound loop */
+  if (typeof spec.min === "number" && typeof spec.max === "number" && spec.min > spec.max) errors.push(`${label}.min must not exceed max.`); /* Report inverted ranges */
+  if (spec.allowed !== undefined && (!Array.isArray(spec.allowed) || spec.allowed.length === 0 || !spec.allowed.every(isNonEmptyString))) { /* Allowed values must be a non-empty string list */
+    errors.push(`${label}.allowed must be a non-empty array of strings.`); /* Report malformed allowed lists */
+  } else if (spec.type === "ratio" && spec.allowed && !spec.allowed.every(v => /^\d+(\.\d+)?:\d+(\.\d+)?$/.test(v))) { /* Ratios must look like W:H */
+    errors.push(`${label}.allowed must contain ratios like 3:4.`); /* Report malformed ratios */
+  }
+  if (spec.scale !== undefined) { /* Optional linear rescale from the UI range */
+    if (!isPlainObject(spec.scale) || !isNumberPair(spec.scale.from) || !isNumberPair(spec.scale.to)) errors.push(`${label}.scale needs "from" and "to" ranges like [0, 100].`); /* Report malformed scaling */
+    else if (spec.type !== "integer" && spec.type !== "number") errors.push(`${label}.scale requires type integer or number.`); /* Scaling only applies to numbers */
+  }
+} /* End validateParamSpec */
+
+/* Helper: compile a template and report syntax errors or unknown placeholders */
+function validateTemplate(template, names, field, label, errors) { /* Define template check */
+  try { /* Try block because compiling throws on problems */
+    globalThis.TemplateEngine.compile(template, names); /* Compile against the allowed placeholder names */
+  } catch (err) { /* Catch compile errors */
+    (err.problems || [err.message]).forEach(problem => errors.push(`${label}: "${field}": ${problem}`)); /* Report each problem separately */
+  }
+} /* End validateTemplate */
+
+/* Validate the optional storyboard section of a video-capable model */
+function validateStoryboard(model, label, errors, warnings) { /* Define storyboard validation */
+  const board = model.storyboard; /* Read the storyboard section */
+  if (!isPlainObject(board)) { /* Storyboard must be an object */
+    errors.push(`${label}: "storyboard" must be an object.`); /* Report the wrong type */
+    return; /* Nothing else can be checked */
+  }
+  const names = globalThis.PromptEngines.templateNames; /* Placeholder names each template kind may use */
+  if (!isNonEmptyString(board.shotTemplate)) errors.push(`${label}: "storyboard.shotTemplate" must be a non-empty string.`); /* Require a per-shot template */
+  else validateTemplate(board.shotTemplate, names.shot, "storyboard.shotTemplate", label, errors); /* Check shot placeholders */
+  ["header", "footer", "entryFramePrefix"].forEach(key => { /* Optional text fields */
+    if (board[key] !== undefined && typeof board[key] !== "string") errors.push(`${label}: "storyboard.${key}" must be a string.`); /* Report non-string text */
+    else if (board[key] !== undefined && key !== "entryFramePrefix") validateTemplate(board[key], names.storyboard, `storyboard.${key}`, label, errors); /* Check header and footer placeholders */
+  }); /* End text field loop */
+  ["defaultMotion", "defaultTransition", "finalTransition"].forEach(key => { /* Fallback phrases that keep every shot complete */
+    if (!isNonEmptyString(board[key])) errors.push(`${label}: "storyboard.${key}" must be a non-empty string.`); /* Report missing fallbacks */
+  }); /* End fallback loop */
+  if (!(Number(board.defaultShotSeconds) > 0)) errors.push(`${label}: "storyboard.defaultShotSeconds" must be a positive number.`); /* Require a default duration */
+  if (board.maxShotSeconds !== undefined && !(Number(board.maxShotSeconds) >= Number(board.defaultShotSeconds))) { /* Limit must allow the default */
+    errors.push(`${label}: "storyboard.maxShotSeconds" must be a number no smaller than defaultShotSeconds.`); /* Report an impossible limit */
+  }
+  ["motionLexicon", "transitionLexicon"].forEach(key => { /* Optional term maps */
+    if (board[key] !== undefined && !isPlainObject(board[key])) errors.push(`${label}: "storyboard.${key}" must be an object.`); /* Report wrong map type */
+  }); /* End map loop */
+  if (Array.isArray(model.engines) && !model.engines.some(engine => /-to-video$/.test(engine))) { /* Storyboards only apply to video engines */
+    warnings.push(`${label}: "storyboard" is ignored because the model has no video engine.`); /* Flag an unusable section */
+  }
+} /* End validateStoryboard */
+
+/* Validate a single model record and push any problems into the shared lists */
+function validateModel(model, index, seenIds, errors, warnings) { /* Define per-model validation */
+  const label = isPlainObject(model) && isNonEmptyString(model.id) ? `Model "${model.id}"` : `models[${index}]`; /* Name the record in messages */
+  if (!isPlainObject(model)) { /* Every entry must be an object */
+    errors.push(`${label}: must be an object.`); /* Report the wrong type */
+    return; /* Nothing else can be checked */
+  }
+
+  if (!isNonEmptyString(model.id)) errors.push(`${label}: "id" must be a non-empty string.`); /* Require an ID to key the builder */
+  else if (seenIds.has(model.id)) errors.push(`${label}: duplicate "id"; each model must be unique.`); /* Reject duplicates that would overwrite builders */
+  else seenIds.add(model.id); /* Remember the ID for later duplicate checks */
+
+  if (!isNonEmptyString(model.name)) errors.push(`${label}: "name" must be a non-empty string.`); /* Require a display name */
+  if (typeof model.latest !== "string") errors.push(`${label}: "latest" must be a string.`); /* Require a version label for the guideline header */
+
+  if (!Array.isArray(model.engines) || model.engines.length === 0) { /* Engines must be a non-empty list */
+    errors.push(`${label}: "engines" must be a non-empty array.`); /* Report a missing or empty list */
+  } else { /* Inspect each engine entry */
+    model.engines.forEach(engine => { /* Loop over declared engines */
+      if (!isNonEmptyString(engine)) errors.push(`${label}: every engine must be a non-empty string.`); /* Reject non-string engines */
+      else if (!KNOWN_ENGINES.includes(engine)) warnings.push(`${label}: unknown engine "${engine}".`); /* Flag engines the UI cannot select */
+    }); /* End engine loop */
+  }
+
+  if (!isPlainObject(model.params)) { /* Params must be an object of flag names */
+    errors.push(`${label}: "params" must be an object.`); /* Report missing params */
+  } else { /* Check each flag the builder reads */
+    PARAM_NAMES.forEach(name => { /* Loop over parameters the builder composes */
+      const spec = model.params[name]; /* Optional schema for the parameter */
+      if (spec !== undefined) validateParamSpec(spec, `${label}: params.${name}`, errors); /* Check the schema when declared */
+      if (isPlainObject(spec) && spec.supported === false) return; /* Unsupported parameters need no flag */
+      if (!isNonEmptyString(model.params[`${name}Key`])) errors.push(`${label}: "params.${name}Key" must be a non-empty string.`); /* Report missing flag names */
+    }); /* End parameter loop */
+  }
+
+  if (!Array.isArray(model.guideline) || !model.guideline.every(isNonEmptyString)) { /* Guideline must be a list of rule strings */
+    errors.push(`${label}: "guideline" must be an array of non-empty strings.`); /* Report malformed rules */
+  }
+
+  if (model.lexicon !== undefined) validateLexicon(model.lexicon, label, errors); /* Lexicon is optional but must be well formed when present */
+
+  if (!isNonEmptyString(model.template)) errors.push(`${label}: "template" must be a non-empty string.`); /* Require a template to fill */
+  else validateTemplate(model.template, globalThis.PromptEngines.templateNames.model, "template", label, errors); /* Check placeholders, sections and filters */
+  if (model.storyboard !== undefined) validateStoryboard(model, label, errors, warnings); /* Check the optional multi-shot section */
+} /* End validateModel */
+
+/* Validate a whole guidelines document and return a report instead of throwing */
+function validateGuidelines(data) { /* Define the top-level validator */
+  const errors = []; /* Collect fatal problems */
+  const warnings = []; /* Collect non-fatal notices */
+
+  if (!isPlainObject(data)) { /* The document itself must be an object */
+    errors.push("Guidelines file must be a JSON object."); /* Report the wrong root type */
+    return { valid: false, errors, warnings }; /* Stop early since nothing else applies */
+  }
+
+  if (!isNonEmptyString(data.version)) errors.push('"version" must be a non-empty string.'); /* Require a version for change tracking */
+  if (data.updatedAt !== undefined && typeof data.updatedAt !== "string") errors.push('"updatedAt" must be a string when present.'); /* Check optional timestamp */
+  if (data.lexicon !== undefined) validateLexicon(data.lexicon, "Global", errors); /* Check the optional guideline-wide lexicon */
+
+  if (!Array.isArray(data.models) || data.models.length === 0) { /* Models must be a non-empty list */
+    errors.push('"models" must be a non-empty array.'); /* Report missing models */
+  } else { /* Validate each model record */
+    const seenIds = new Set(); /* Track IDs for duplicate detection */
+    data.models.forEach((model, index) => validateModel(model, index, seenIds, errors, warnings)); /* Check every record */
+  }
+
+  return { valid: errors.length === 0, errors, warnings }; /* Provide the report to the caller */
+} /* End validateGuidelines */
+
+/* Helper: compare two string lists and return what was added and removed */
+function diffLists(before, after) { /* Define list comparison */
+  const prev = before || []; /* Treat missing lists as empty */
+  const next = after || []; /* Treat missing lists as empty */
+  return { /* Return added and removed items */
+    added: next.filter(item => !prev.includes(item)), /* Items only in the new list */
+    removed: prev.filter(item => !next.includes(item)) /* Items only in the old list */
+  }; /* End result */
+} /* End diffLists */
+
+/* Helper: compare two lexicons and return added, removed and changed terms */
+function diffLexicons(before, after) { /* Define lexicon comparison */
+  const prev = before || {}; /* Treat missing lexicon as empty */
+  const next = after || {}; /* Treat missing lexicon as empty */
+  const result = { added: {}, removed: {}, changed: {} }; /* Prepare result buckets */
+  Object.keys(next).forEach(term => { /* Walk terms in the new lexicon */
+    if (!(term in prev)) result.added[term] = next[term]; /* New term */
+    else if (prev[term] !== next[term]) result.changed[term] = { from: prev[term], to: next[term] }; /* Edited translation */
+  }); /* End new-term loop */
+  Object.keys(prev).forEach(term => { /* Walk terms in the old lexicon */
+    if (!(term in next)) result.removed[term] = prev[term]; /* Dropped term */
+  }); /* End old-term loop */
+  return result; /* Provide lexicon changes */
+} /* End diffLexicons */
+
+/* Helper: compare two parameter maps key by key and return { key: { from, to } } for every edited key */
+function diffParams(before, after) { /* Define parameter comparison */
+  const prev = before || {}; /* Treat missing params as empty */
+  const next = after || {}; /* Treat missing params as empty */
+  const result = {}; /* Collect edited keys */
+  new Set(Object.keys(prev).concat(Object.keys(next))).forEach(key => { /* Walk keys from both sides */
+    if (JSON.stringify(prev[key]) !== JSON.stringify(next[key])) result[key] = { from: prev[key], to: next[key] }; /* Flags and schemas compare by value */
+  }); /* End key loop */
+  return result; /* Provide parameter changes */
+} /* End diffParams */
+
+/* Helper: show a parameter flag or schema on one line, or "(none)" when missing */
+function describeParamValue(value) { /* Define parameter value formatter */
+  return value === undefined ? "(none)" : typeof value === "string" ? value : JSON.stringify(value); /* Flags as text, schemas as JSON */
+} /* End describeParamValue */
+
+/* Compare two guideline documents and describe what a refresh changed */
+function diffGuidelines(previous, next) { /* Define the document diff */
+  const prevModels = (previous && previous.models) || []; /* Models before the refresh */
+  const nextModels = (next && next.models) || []; /* Models after the refresh */
+  const prevById = new Map(prevModels.map(m => [m.id, m])); /* Index old models by ID */
+  const nextById = new Map(nextModels.map(m => [m.id, m])); /* Index new models by ID */
+
+  const changedModels = []; /* Collect per-model edits */
+  nextModels.forEach(model => { /* Walk models present after the refresh */
+    const old = prevById.get(model.id); /* Find the matching old record */
+    if (!old) return; /* Skip new models; they are listed separately */
+    const guideline = diffLists(old.guideline, model.guideline); /* Compare rule lists */
+    const lexicon = diffLexicons(old.lexicon, model.lexicon); /* Compare lexicons */
+    const template = old.template !== model.template ? { from: old.template || "", to: model.template || "" } : null; /* Compare templates */
+    const storyboard = JSON.stringify(old.storyboard || null) !== JSON.stringify(model.storyboard || null); /* Compare storyboard templates and limits */
+    const params = diffParams(old.params, model.params); /* Compare parameter flags and schemas */
+    const engines = diffLists(old.engines, model.engines); /* Compare supported engines */
+    const name = old.name !== model.name ? { from: old.name || "", to: model.name || "" } : null; /* Compare display names */
+    const latest = old.latest !== model.latest ? { from: old.latest || "", to: model.latest || "" } : null; /* Compare model versions */
+    const lexiconChanged = [lexicon.added, lexicon.removed, lexicon.changed].some(bucket => Object.keys(bucket).length > 0); /* Detect any lexicon edits */
+    const paramsChanged = Object.keys(params).length > 0; /* Detect any parameter edits */
+    const enginesChanged = engines.added.length > 0 || engines.removed.length > 0; /* Detect engine edits */
+    if (guideline.added.length || guideline.removed.length || lexiconChanged || template || storyboard || paramsChanged || enginesChanged || name || latest) { /* Only keep models that changed */
+      changedModels.push({ id: model.id, name, latest, engines, params, guideline, lexicon, template, storyboard }); /* Record the model's changes */
+    }
+  }); /* End model loop */
+
+  const addedModels = nextModels.filter(m => !prevById.has(m.id)).map(m => m.id); /* IDs only in the new file */
+  const removedModels = prevModels.filter(m => !nextById.has(m.id)).map(m => m.id); /* IDs only in the old file */
+
+  const globalLexicon = diffLexicons(previous && previous.lexicon, next && next.lexicon); /* Compare guideline-wide lexicons */
+  const globalLexiconChanged = [globalLexicon.added, globalLexicon.removed, globalLexicon.changed].some(bucket => Object.keys(bucket).length > 0); /* Detect any global lexicon edits */
+
+  return { /* Return the structured diff */
+    fromVersion: (previous && previous.version) || "", /* Version before the refresh */
+    toVersion: (next && next.version) || "", /* Version after the refresh */
+    addedModels, /* Newly introduced models */
+    removedModels, /* Models that disappeared */
+    changedModels, /* Models with edited rules, lexicon, template, parameters, engines, name or version */
+    globalLexicon, /* Edits to the guideline-wide lexicon */
+    hasChanges: addedModels.length > 0 || removedModels.length > 0 || changedModels.length > 0 || globalLexiconChanged /* Quick flag for the UI */
+  }; /* End result */
+} /* End diffGuidelines */
+
+/* Render a structured diff as readable lines for the change log panel */
+function formatGuidelineDiff(diff) { /* Define diff formatter */
+  if (!diff) return "No previous guidelines to compare."; /* Handle first load */
+  const lines = [`Version: ${diff.fromVersion || "-"} → ${diff.toVersion || "-"}`]; /* Start with the version line */
+  if (!diff.hasChanges) { /* Nothing changed besides maybe the version string */
+    lines.push("No model, rule, lexicon, template or parameter changes."); /* Say so explicitly */
+    return lines.join("\n"); /* Return early */
+  }
+  const global = diff.globalLexicon || { added: {}, removed: {}, changed: {} }; /* Guideline-wide lexicon edits */
+  Object.entries(global.added).forEach(([term, value]) => lines.push(`+ global lexicon: ${term} → ${value}`)); /* Added global terms */
+  Object.entries(global.removed).forEach(([term, value]) => lines.push(`- global lexicon: ${term} → ${value}`)); /* Removed global terms */
+  Object.entries(global.changed).forEach(([term, edit]) => lines.push(`~ global lexicon: ${term}: ${edit.from} → ${edit.to}`)); /* Edited global terms */
+  diff.addedModels.forEach(id => lines.push(`+ model ${id}`)); /* List added models */
+  diff.removedModels.forEach(id => lines.push(`- model ${id}`)); /* List removed models */
+  diff.changedModels.forEach(change => { /* Describe each edited model */
+    lines.push(`~ model ${change.id}`); /* Header line for the model */
+    if (change.name) lines.push(`    ~ name: ${change.name.from} → ${change.name.to}`); /* Renamed model */
+    if (change.latest) lines.push(`    ~ latest: ${change.latest.from} → ${change.latest.to}`); /* New model version */
+    change.engines.added.forEach(engine => lines.push(`    + engine: ${engine}`)); /* Added engines */
+    change.engines.removed.forEach(engine => lines.push(`    - engine: ${engine}`)); /* Removed engines */
+    Object.entries(change.params).forEach(([key, edit]) => lines.push(`    ~ param ${key}: ${describeParamValue(edit.from)} → ${describeParamValue(edit.to)}`)); /* Edited flags and schemas */
+    change.guideline.added.forEach(rule => lines.push(`    + rule: ${rule}`)); /* Added rules */
+    change.guideline.removed.forEach(rule => lines.push(`    - rule: ${rule}`)); /* Removed rules */
+    Object.entries(change.lexicon.added).forEach(([term, value]) => lines.push(`    + lexicon: ${term} → ${value}`)); /* Added terms */
+    Object.entries(change.lexicon.removed).forEach(([term, value]) => lines.push(`    - lexicon: ${term} → ${value}`)); /* Removed terms */
+    Object.entries(change.lexicon.changed).forEach(([term, edit]) => lines.push(`    ~ lexicon: ${term}: ${edit.from} → ${edit.to}`)); /* Edited terms */
+    if (change.template) { /* Show old and new template when edited */
+      lines.push(`    ~ template (before): ${change.template.from}`); /* Previous template */
+      lines.push(`    ~ template (after):  ${change.template.to}`); /* New template */
+    }
+    if (change.storyboard) lines.push("    ~ storyboard settings changed"); /* Note storyboard edits */
+  }); /* End change loop */
+  return lines.join("\n"); /* Join into a block of text */
+} /* End formatGuidelineDiff */
+
+/* Export validator helpers to the global object for usage in updateManager.js and app.js */
+globalThis.GuidelineValidator = { validate: validateGuidelines, diff: diffGuidelines, formatDiff: formatGuidelineDiff }; /* Attach validator API to a global object */
+if (typeof module !== "undefined" && module.exports) module.exports = globalThis.GuidelineValidator; /* Also export it for require() from Node scripts */
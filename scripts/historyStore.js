@@ -0,0 +1,169 @@
+/* Prompt history stored in IndexedDB with search, tags, stars, projects and JSON export */
+"use strict"; /* Enforce strict mode for safer JavaScript */
+
+/* IndexedDB names used by the history store */
+const HISTORY_DB = { /* Database and object store names */
+  NAME: "promptHub", /* Database name */
+  VERSION: 1, /* Schema version for upgrades */
+  STORE: "history" /* Object store holding one record per conversion */
+}; /* End database names */
+
+/* Format marker written into exported files so imports can recognize them */
+const HISTORY_EXPORT_FORMAT = "prompt-hub-history"; /* Identifier for exported history files */
+
+/* Helper: wrap an IndexedDB request in a promise */
+function requestToPromise(request) { /* Define request adapter */
+  return new Promise((resolve, reject) => { /* Resolve on success and reject on error */
+    request.onsuccess = () => resolve(request.result); /* Pass the request result through */
+    request.onerror = () => reject(request.error); /* Pass the request error through */
+  }); /* End promise */
+} /* End requestToPromise */
+
+/* Open the history database once and reuse the connection */
+let historyDbPromise = null; /* Cached connection promise */
+function openHistoryDb() { /* Define database opener */
+  if (!historyDbPromise) { /* Only open on first use */
+    const request = indexedDB.open(HISTORY_DB.NAME, HISTORY_DB.VERSION); /* Request the database */
+    request.onupgradeneeded = () => { /* Create the schema on first open */
+      const store = request.result.createObjectStore(HISTORY_DB.STORE, { keyPath: "id", autoIncrement: true }); /* Records keyed by an auto-increment ID */
+      store.createIndex("createdAt", "createdAt"); /* Index for chronological listing */
+    }; /* End upgrade handler */
+    historyDbPromise = requestToPromise(request).catch(err => { historyDbPromise = null; throw err; }); /* Allow a retry after a failed open */
+  }
+  return historyDbPromise; /* Provide the shared connection promise */
+} /* End openHistoryDb */
+
+/* Helper: run a callback against the history store inside a transaction */
+async function withHistoryStore(mode, callback) { /* Define transaction helper */
+  const db = await openHistoryDb(); /* Wait for the connection */
+  const store = db.transaction(HISTORY_DB.STORE, mode).objectStore(HISTORY_DB.STORE); /* Open the store in the requested mode */
+  return requestToPromise(callback(store)); /* Run the callback and wait for its request */
+} /* End withHistoryStore */
+
+/* Helper: fill in defaults so every record has the same shape */
+function normalizeHistoryEntry(entry) { /* Define record normalizer */
+  return { /* Return a record with every field present */
+    createdAt: entry.createdAt || new Date().toISOString(), /* Conversion timestamp */
+    sourceText: entry.sourceText || "", /* Korean description */
+    model: entry.model || "", /* Selected model ID */
+    engine: entry.engine || "", /* Selected engine */
+    storyboard: Boolean(entry.storyboard), /* Whether storyboard mode was used */
+    aspect: entry.aspect || "", /* Aspect ratio text */
+    seed: entry.seed || "", /* Seed text */
+    stylize: Number(entry.stylize ?? 50), /* Stylization slider value */
+    negative: entry.negative || "", /* Negative prompt text */
+    customGuideline: entry.customGuideline || "", /* Custom guideline text */
+    guidelineVersion: entry.guidelineVersion || "", /* Guidelines version used for the conversion */
+    result: { full: (entry.result && entry.result.full) || "", params: (entry.result && entry.result.params) || "" }, /* Generated prompt and parameter line */
+    tags: Array.isArray(entry.tags) ? entry.tags.map(String) : [], /* Free-form tags */
+    starred: Boolean(entry.starred), /* Favorite flag */
+    project: entry.project || "" /* Project name grouping related entries */
+  }; /* End record */
+} /* End normalizeHistoryEntry */
+
+/* Save one conversion and resolve with its new ID */
+function addHistoryEntry(entry) { /* Define insert */
+  return withHistoryStore("readwrite", store => store.add(normalizeHistoryEntry(entry))); /* Add the normalized record */
+} /* End addHistoryEntry */
+
+/* Read one entry by ID */
+function getHistoryEntry(id) { /* Define single read */
+  return withHistoryStore("readonly", store => store.get(id)); /* Fetch the record */
+} /* End getHistoryEntry */
+
+/* Merge changes such as tags, starred or project into an existing entry */
+async function updateHistoryEntry(id, changes) { /* Define partial update */
+  const entry = await getHistoryEntry(id); /* Load the current record */
+  if (!entry) throw new Error(`History entry ${id} not found`); /* Surface a missing record */
+  return withHistoryStore("readwrite", store => store.put(Object.assign(entry, changes, { id }))); /* Save the merged record */
+} /* End updateHistoryEntry */
+
+/* Delete one entry by ID */
+function deleteHistoryEntry(id) { /* Define delete */
+  return withHistoryStore("readwrite", store => store.delete(id)); /* Remove the record */
+} /* End deleteHistoryEntry */
+
+/* List entries newest first, filtered by search text, project, tag and star */
+async function listHistoryEntries(filter) { /* Define filtered listing */
+  const { query = "", project = "", tag = "", starredOnly = false } = filter || {}; /* Read filter options */
+  const entries = await withHistoryStore("readonly", store => store.index("createdAt").getAll()); /* Load records in chronological order */
+  const needle = query.trim().toLowerCase(); /* Normalize the search text */
+  return entries.reverse().filter(entry => { /* Newest first, then apply filters */
+    if (starredOnly && !entry.starred) return false; /* Keep only starred entries when asked */
+    if (project && entry.project !== project) return false; /* Keep only the chosen project */
+    if (tag && !entry.tags.includes(tag)) return false; /* Keep only the chosen tag */
+    if (!needle) return true; /* No search text means everything matches */
+    const haystack = [entry.sourceText, entry.result.full, entry.model, entry.project, entry.tags.join(" ")].join("\n").toLowerCase(); /* Searchable text */
+    return haystack.includes(needle); /* Match anywhere in the searchable text */
+  }); /* End filter */
+} /* End listHistoryEntries */
+
+/* List distinct project names used by saved entries */
+async function listHistoryProjects() { /* Define project listing */
+  const entries = await listHistoryEntries(); /* Load every entry */
+  return Array.from(new Set(entries.map(entry => entry.project).filter(Boolean))).sort(); /* Unique non-empty names in order */
+} /* End listHistoryProjects */
+
+/* Export entries as a JSON string, optionally limited to one project */
+async function exportHistory(project) { /* Define JSON export */
+  const entries = await listHistoryEntries({ project: project || "" }); /* Load matching entries */
+  return JSON.stringify({ /* Serialize with a small envelope */
+    format: HISTORY_EXPORT_FORMAT, /* Format marker for imports */
+    exportedAt: new Date().toISOString(), /* Export timestamp */
+    entries: entries.map(({ id, ...rest }) => rest) /* Drop local IDs so imports get fresh ones */
+  }, null, 2); /* Pretty-print for readability */
+} /* End exportHistory */
+
+/* Helper: describe why an imported entry cannot be saved, or return "" when it is usable */
+function findHistoryEntryProblem(entry) { /* Define entry check */
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) return "not an object"; /* Every entry must be a record */
+  if (typeof entry.sourceText !== "string" || !entry.sourceText.trim()) return "missing sourceText"; /* Nothing to restore without the description */
+  if (!entry.result || typeof entry.result !== "object" || typeof entry.result.full !== "string") return "missing result.full"; /* Nothing to show without the prompt */
+  if (entry.createdAt !== undefined && Number.isNaN(Date.parse(entry.createdAt))) return "invalid createdAt"; /* Listing sorts by date */
+  if (entry.tags !== undefined && !Array.isArray(entry.tags)) return "tags must be a list"; /* Tag filters expect a list */
+  return ""; /* Usable entry */
+} /* End findHistoryEntryProblem */
+
+/* Parse an exported JSON string into normalized records and the entries skipped as unusable */
+function parseHistoryImport(jsonText) { /* Define import parser */
+  const data = JSON.parse(jsonText); /* Parse the file contents */
+  if (!data || data.format !== HISTORY_EXPORT_FORMAT || !Array.isArray(data.entries)) { /* Reject unrelated files */
+    throw new Error("Not a prompt history export file."); /* Surface the problem to the caller */
+  }
+  const entries = []; /* Records ready to save */
+  const skipped = []; /* One-based positions and reasons of unusable entries */
+  data.entries.forEach((entry, i) => { /* Check every entry before anything is saved */
+    const problem = findHistoryEntryProblem(entry); /* Reason the entry is unusable, if any */
+    if (problem) skipped.push({ index: i + 1, problem }); /* Report it instead of stopping */
+    else entries.push(normalizeHistoryEntry(entry)); /* Keep the normalized record */
+  }); /* End entry loop */
+  return { entries, skipped }; /* Provide both lists */
+} /* End parseHistoryImport */
+
+/* Import entries from an exported JSON string in one transaction and resolve with { added, skipped } */
+async function importHistory(jsonText) { /* Define JSON import */
+  const { entries, skipped } = parseHistoryImport(jsonText); /* Validate the whole file first */
+  const db = await openHistoryDb(); /* Wait for the connection */
+  await new Promise((resolve, reject) => { /* Save every entry or none */
+    const transaction = db.transaction(HISTORY_DB.STORE, "readwrite"); /* One transaction for the whole file */
+    entries.forEach(entry => transaction.objectStore(HISTORY_DB.STORE).add(entry)); /* Add each entry with a new ID */
+    transaction.oncomplete = () => resolve(); /* Every entry was written */
+    transaction.onerror = () => reject(transaction.error); /* A failed write rolls the whole import back */
+    transaction.onabort = () => reject(transaction.error); /* Aborts roll back too */
+  }); /* End transaction promise */
+  return { added: entries.length, skipped }; /* Report how many entries were added and which were skipped */
+} /* End importHistory */
+
+/* Export history helpers to the global object for usage in app.js */
+globalThis.PromptHistory = { /* Attach history API to a global object */
+  add: addHistoryEntry, /* Save a conversion */
+  get: getHistoryEntry, /* Read one entry */
+  update: updateHistoryEntry, /* Edit tags, star or project */
+  remove: deleteHistoryEntry, /* Delete one entry */
+  list: listHistoryEntries, /* Search and filter entries */
+  projects: listHistoryProjects, /* List project names */
+  exportJson: exportHistory, /* Export as JSON text */
+  importJson: importHistory, /* Import from JSON text */
+  parseImport: parseHistoryImport /* Check an import file without saving it */
+}; /* End history API */
+if (typeof module !== "undefined" && module.exports) module.exports = globalThis.PromptHistory; /* Also export it for require() from Node scripts; saving still needs IndexedDB */
@@ -0,0 +1,30 @@
+/* Side-by-side comparison: run one description through several model builders and find differing slots */
+"use strict"; /* Enforce strict mode for safer JavaScript */
+
+/* Slots compared across models, in display order */
+const COMPARED_SLOTS = ["subject", "environment", "lighting", "materials", "mood", "composition", "details"]; /* Semantic slots filled by SlotParser */
+
+/* Run the input through every installed builder, or only the chosen models when a list is given, and report differences */
+function compareModels(input, engine, uiOptions, modelIds) { /* Define comparison runner */
+  const builders = window.PromptEngines.builders || {}; /* Read installed builders */
+  const models = window.GlobalGuidelines.models || []; /* Read loaded model records */
+  const wanted = modelIds ? models.filter(m => modelIds.includes(m.id)) : models; /* Use the subset when given; an empty list compares nothing */
+  const columns = []; /* Collect one column per compared model */
+  const skipped = []; /* Collect models left out with a reason */
+
+  wanted.forEach(model => { /* Build each model's prompt */
+    if (!builders[model.id]) { skipped.push({ id: model.id, reason: "no builder installed" }); return; } /* Skip models without a builder */
+    if (!model.engines.includes(engine)) { skipped.push({ id: model.id, reason: `does not support ${engine}` }); return; } /* Skip models without the selected engine */
+    columns.push({ model, result: builders[model.id](input, engine, uiOptions) }); /* Keep the model with its result */
+  }); /* End model loop */
+
+  const differingSlots = COMPARED_SLOTS.filter(slot => { /* Keep slots whose text is not identical everywhere */
+    const values = new Set(columns.map(column => column.result.slots[slot])); /* Distinct values of the slot */
+    return values.size > 1; /* More than one distinct value means the models differ */
+  }); /* End slot filter */
+
+  return { columns, skipped, differingSlots }; /* Provide comparison results */
+} /* End compareModels */
+
+/* Export comparison helpers to the global window for usage in app.js */
+window.ModelComparison = { run: compareModels, slots: COMPARED_SLOTS }; /* Attach comparison API to a global object */
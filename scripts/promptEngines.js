@@ -2,30 +2,145 @@
 "use strict"; /* Enforce strict mode for safer JavaScript */
 
 /* Define a global namespace object to avoid polluting window directly */
-window.PromptEngines = window.PromptEngines || {}; /* Initialize the prompt engine container if not present */
+globalThis.PromptEngines = globalThis.PromptEngines || {}; /* Initialize the prompt engine container if not present */
+if (typeof module !== "undefined" && module.exports) require("./templateEngine.js"); /* In Node, load the template language that the browser loads with a script tag */
 
-/* Utility: very small Korean→English dictionary-based translator with extensibility */
+/* Korean particles stripped from the end of a word before lexicon lookup, longest first */
+const KOREAN_PARTICLES = ["으로부터", "에서부터", "에게서", "에서", "에게", "으로", "까지", "부터", "처럼", "보다", "이랑", "하고", "로", "와", "과", "을", "를", "이", "가", "은", "는", "의", "에", "도", "만", "랑"]; /* Common postpositions */
+
+/* Korean adjective and adverb endings stripped after particles, longest first */
+const KOREAN_ENDINGS = ["스러운", "스럽게", "적으로", "적인", "하는", "하게", "되는", "했던", "된", "한", "히"]; /* Common descriptive endings */
+
+/* Shortest key matched inside a compound word; one-syllable keys would break unrelated words such as 오이 */
+const MIN_COMPOUND_KEY_LENGTH = 2; /* Two syllables */
+
+/* Pattern matching any run of Hangul syllables or jamo */
+const HANGUL_PATTERN = /[ㄱ-ㆎ가-힣]+/g; /* Used to find untranslated Korean */
+
+/* Utility: Korean-aware dictionary translator that reports what it could not translate */
 const MiniTranslator = { /* Start a simple translator object */
-  /* Translate a sentence by replacing known terms using provided lexicon merged with model lexicon */
-  translate: function (koreanText, mergedLexicon) { /* Define translate function that accepts text and lexicon */
-    let output = koreanText; /* Initialize output with original text */
-    const allKeys = Object.keys(mergedLexicon || {}); /* Get all dictionary keys to replace */
-    allKeys.sort((a, b) => b.length - a.length); /* Sort keys by length to replace longer phrases first */
-    for (const key of allKeys) { /* Iterate through each dictionary key */
-      const value = mergedLexicon[key]; /* Retrieve English translation value */
-      if (!value) continue; /* Skip if no value exists */
-      const pattern = new RegExp(key.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "g"); /* Escape special regex chars in key */
-      output = output.replace(pattern, value); /* Replace all occurrences of key with value */
+  /* Reduce a Korean word to its stem by removing trailing particles and endings */
+  stem: function (word) { /* Define stemming function for a single word */
+    let stem = word; /* Start from the original word */
+    for (let pass = 0; pass < 2; pass++) { /* Allow stacked particles such as 에서의 */
+      const particle = KOREAN_PARTICLES.find(p => stem.length > p.length && stem.endsWith(p)); /* Find a particle that leaves a non-empty stem */
+      if (!particle) break; /* Stop when no particle is attached */
+      stem = stem.slice(0, -particle.length); /* Remove the particle */
+    }
+    const ending = KOREAN_ENDINGS.find(e => stem.length > e.length && stem.endsWith(e)); /* Find a descriptive ending */
+    if (ending) stem = stem.slice(0, -ending.length); /* Remove the ending */
+    return stem; /* Return the normalized stem */
+  }, /* End stem */
+
+  /* Split text into words, keeping offsets and surrounding punctuation */
+  tokenize: function (text) { /* Define tokenizer */
+    const tokens = []; /* Collect word tokens */
+    for (const match of String(text).matchAll(/\S+/g)) { /* Walk whitespace-separated words */
+      const parts = match[0].match(/^([^\p{L}\p{N}]*)(.*?)([^\p{L}\p{N}]*)$/u); /* Separate leading punctuation, core and trailing punctuation */
+      tokens.push({ /* Store the token record */
+        start: match.index, /* Offset of the word in the source */
+        end: match.index + match[0].length, /* End offset of the word in the source */
+        lead: parts[1], /* Leading punctuation kept as-is */
+        core: parts[2], /* The word itself */
+        trail: parts[3], /* Trailing punctuation kept as-is */
+        stem: this.stem(parts[2]) /* Normalized form used for matching */
+      }); /* End token record */
     }
-    return output; /* Return translated or partially translated string */
+    return tokens; /* Return all tokens in order */
+  }, /* End tokenize */
+
+  /* Translate text and return the English string with translated spans and leftover Korean words */
+  analyze: function (koreanText, mergedLexicon) { /* Define the structured translation pipeline */
+    const source = String(koreanText); /* Normalize input to a string */
+    const entries = Object.entries(mergedLexicon || {}) /* Prepare lexicon entries for matching */
+      .filter(([key, value]) => key.trim() && value) /* Skip empty keys and values */
+      .map(([key, value]) => ({ key, value, words: this.tokenize(key) })) /* Tokenize each key once */
+      .sort((a, b) => b.words.length - a.words.length || b.key.length - a.key.length); /* Prefer longer phrases first */
+    const compoundEntries = entries.filter(e => e.words.length === 1 && e.key.length >= MIN_COMPOUND_KEY_LENGTH); /* Keys allowed inside compounds, longest first */
+    const tokens = this.tokenize(source); /* Tokenize the input */
+    const spans = []; /* Collect translated spans */
+    const leftovers = new Map(); /* Collect untranslated Korean words keyed by stem */
+    const pieces = []; /* Collect output fragments */
+
+    /* Helper: true when the entry's words match the tokens starting at index i */
+    const matchesAt = (entry, i) => entry.words.every((word, offset) => { /* Compare word by word */
+      const token = tokens[i + offset]; /* Token aligned with this word */
+      return token && (token.core === word.core || token.stem === word.stem); /* Match raw form or normalized stem */
+    }); /* End matchesAt */
+
+    let i = 0; /* Token cursor */
+    while (i < tokens.length) { /* Walk tokens left to right */
+      const token = tokens[i]; /* Current token */
+      const separator = i > 0 ? source.slice(tokens[i - 1].end, token.start) : ""; /* Preserve original whitespace */
+      const entry = entries.find(e => matchesAt(e, i)); /* Find the longest lexicon phrase starting here */
+      if (entry) { /* Replace the whole matched phrase */
+        const last = tokens[i + entry.words.length - 1]; /* Final token of the phrase */
+        const start = token.start + token.lead.length; /* Span starts after leading punctuation */
+        const end = last.end - last.trail.length; /* Span ends before trailing punctuation */
+        spans.push({ source: source.slice(start, end), target: entry.value, key: entry.key, start, end }); /* Record the translated span */
+        pieces.push(separator + token.lead + entry.value + last.trail); /* Emit the translation with outer punctuation */
+        i += entry.words.length; /* Skip past the matched tokens */
+        continue; /* Move to the next token */
+      }
+
+      /* Fall back to compounds such as 핑크톤유리병과: keys match at either edge of the stem or next to another key */
+      const stem = token.stem; /* Particles are dropped, as for whole-word matches */
+      const offset = token.start + token.lead.length; /* Source offset of the stem */
+      const matchAt = (at, limit) => compoundEntries.find(e => at + e.key.length <= limit && stem.startsWith(e.key, at)); /* Key starting at a position */
+      const matchBefore = (at, limit) => compoundEntries.find(e => at - e.key.length >= limit && stem.endsWith(e.key, at)); /* Key ending at a position */
+      const head = []; /* Keys read from the front */
+      const tail = []; /* Keys read from the back */
+      let from = 0; /* Start of the unmatched middle */
+      let to = stem.length; /* End of the unmatched middle */
+      for (let e = matchAt(from, to); e; e = matchAt(from, to)) { head.push({ entry: e, at: from }); from += e.key.length; } /* Consume keys from the front */
+      for (let e = matchBefore(to, from); e; e = matchBefore(to, from)) { to -= e.key.length; tail.unshift({ entry: e, at: to }); } /* Consume keys from the back */
+      const rest = stem.slice(from, to); /* Part no key covered */
+      const parts = head.concat(tail); /* Matched keys in source order */
+      parts.forEach(({ entry: e, at }) => spans.push({ source: e.key, target: e.value, key: e.key, start: offset + at, end: offset + at + e.key.length })); /* Record the translated spans */
+      const core = parts.length ? head.map(p => p.entry.value).concat(rest || [], tail.map(p => p.entry.value)).join(" ") : token.core; /* Rebuild the word or keep it untouched */
+
+      ((parts.length ? rest : core).match(HANGUL_PATTERN) || []).forEach(word => { /* Anything still in Hangul was not translated */
+        const wordStem = this.stem(word); /* Normalize the leftover for lexicon suggestions */
+        if (KOREAN_PARTICLES.includes(wordStem) || KOREAN_ENDINGS.includes(wordStem)) return; /* A bare particle is not worth a lexicon entry */
+        if (!leftovers.has(wordStem)) leftovers.set(wordStem, { word, stem: wordStem }); /* Keep the first occurrence of each stem */
+      }); /* End leftover loop */
+      pieces.push(separator + token.lead + core + token.trail); /* Emit the word untouched or partially translated */
+      i += 1; /* Move to the next token */
+    }
+
+    spans.sort((a, b) => a.start - b.start); /* Report spans in source order */
+    return { text: pieces.join(""), spans, leftovers: Array.from(leftovers.values()) }; /* Provide structured output */
+  }, /* End analyze */
+
+  /* Translate a sentence and return only the English string */
+  translate: function (koreanText, mergedLexicon) { /* Define translate function that accepts text and lexicon */
+    return this.analyze(koreanText, mergedLexicon).text; /* Return translated or partially translated string */
   }
 }; /* End translator */
 
+/* A 1-3 digit number with a seconds unit; digits, dots and apostrophes before it mean a year, decimal or '80s */
+const SECONDS_HINT_PATTERN = /(?<![\d.'’])(\d{1,3}(?:\.\d+)?)\s*(초|sec(?:ond)?s?\b|s\b)(?:\s*(?:동안|간))?/gi; /* Also covers 3초 동안 so the whole hint can be removed */
+
+/* Helper: find the first duration hint such as "3초" or "2.5s", skipping decades such as 80s */
+function findSecondsHint(text) { /* Define duration hint finder */
+  for (const match of String(text).matchAll(SECONDS_HINT_PATTERN)) { /* Walk candidate hints in order */
+    if (match[2].toLowerCase() === "s" && /^[2-9]0$/.test(match[1])) continue; /* 80s style names a decade, not a duration */
+    return match; /* Return the first real hint */
+  }
+  return null; /* No duration was written */
+} /* End findSecondsHint */
+
+/* Helper: remove a hint found by findSecondsHint from the text */
+function removeSecondsHint(text, hint) { /* Define hint remover */
+  return hint ? text.slice(0, hint.index) + text.slice(hint.index + hint[0].length) : text; /* Cut the hint out or keep the text */
+} /* End removeSecondsHint */
+
 /* Utility: parse user text into structured slots with naive heuristics */
 const SlotParser = { /* Start slot parser module */
   /* Extract basic slots by looking for commas and common phrase markers */
   parse: function (text) { /* Define parse function for input text */
-    const base = text.trim(); /* Remove leading and trailing spaces */
+    const hint = findSecondsHint(text); /* Read a written duration */
+    const base = removeSecondsHint(text, hint).trim(); /* Keep the hint out of the slot text */
     const parts = base.split(/[.,\n]/).map(s => s.trim()).filter(Boolean); /* Split by punctuation to segments */
     /* Heuristic mapping of segments to slots */
     return { /* Return object with semantic slots */
@@ -36,68 +151,293 @@ const SlotParser = { /* Start slot parser module */
       mood: parts.find(p => /분위기|무드|차분|고급|상쾌|따뜻/.test(p)) || "elegant and fresh", /* Find mood hint */
       composition: parts.find(p => /구도|상단|하단|3분할|클로즈업|원근/.test(p)) || "centered hero close-up", /* Find composition hint */
       details: parts.slice(2).join(", ") || "crisp label, accurate color, subtle reflections", /* Use remaining segments as details */
-      duration: 4 /* Provide a default short duration for video engines */
+      duration: hint ? Number(hint[1]) : 4 /* Use a written duration hint or a short default for video engines */
     }; /* End object */
   }
 }; /* End SlotParser */
 
-/* Factory: create a builder from a model record */
-function createBuilder(modelRecord) { /* Define factory function to construct a builder */
+/* Fallback camera motions and transitions used when a model's storyboard does not define its own */
+const STORYBOARD_DEFAULTS = { /* Start storyboard defaults */
+  motionLexicon: { "부드러운 패닝": "gentle pan", "패닝": "pan", "줌인": "slow push-in", "줌아웃": "slow pull-out", "돌리": "dolly movement", "틸트": "tilt", "트래킹": "tracking shot", "회전": "orbit", "고정": "locked-off camera" }, /* Korean camera terms */
+  transitionLexicon: { "장면 전환": "cut transition", "디졸브": "dissolve", "페이드": "fade", "와이프": "wipe", "컷": "cut" } /* Korean transition terms */
+}; /* End storyboard defaults */
+
+/* Utility: split a Korean description into numbered shots with motion, duration and transition hints */
+const StoryboardParser = { /* Start storyboard parser module */
+  /* Split text on shot markers, then lines, then sequencing words */
+  split: function (text) { /* Define shot splitter */
+    const base = String(text).trim(); /* Remove leading and trailing spaces */
+    const marker = /(?:^|\s|→)\s*(?:샷\s*\d+|#\s*\d+|\d+\s*[.)](?!\d))\s*:?/; /* 1. / 1) / 샷1 / #1 at the start, after a space or after → */
+    if (marker.test(base)) { /* Prefer explicit numbering */
+      return base.split(new RegExp(marker.source, "g")).map(s => s.trim()).filter(Boolean); /* Split on every marker */
+    }
+    const lines = base.split(/\n+/).map(s => s.trim()).filter(Boolean); /* Try one shot per line */
+    if (lines.length > 1) return lines; /* Use lines when there are several */
+    return base.split(/\s*(?:→|->|;|그 다음(?:에)?|다음으로|그리고 나서|이후에?)\s*/).map(s => s.trim()).filter(Boolean); /* Fall back to sequencing words */
+  }, /* End split */
+
+  /* Find the first lexicon term contained in the text, longest terms first */
+  findTerm: function (text, lexicon) { /* Define term finder */
+    const keys = Object.keys(lexicon || {}).sort((a, b) => b.length - a.length); /* Prefer longer terms */
+    const key = keys.find(k => text.includes(k)); /* Locate the first contained term */
+    return key ? { key, value: lexicon[key] } : null; /* Return the term and its English value */
+  }, /* End findTerm */
+
+  /* Parse text into shot records with the hints removed from the description */
+  parse: function (text, motionLexicon, transitionLexicon) { /* Define shot parser */
+    return this.split(text).map((segment, index) => { /* Build one record per shot */
+      let description = segment; /* Start with the raw shot text */
+      const hint = findSecondsHint(description); /* Read a written duration */
+      const seconds = hint ? Number(hint[1]) : null; /* Requested seconds or none */
+      description = removeSecondsHint(description, hint); /* Remove the duration hint */
+      const motion = this.findTerm(description, motionLexicon); /* Read a camera motion */
+      if (motion) description = description.replace(motion.key, ""); /* Remove the motion term */
+      const transition = this.findTerm(description, transitionLexicon); /* Read a transition */
+      if (transition) description = description.replace(transition.key, ""); /* Remove the transition term */
+      description = description.replace(/\s*,\s*(?=,|$)/g, "").replace(/^\s*,\s*/, "").replace(/\s{2,}/g, " ").trim(); /* Tidy leftover commas and spaces */
+      return { /* Return the shot record */
+        index: index + 1, /* One-based shot number */
+        description, /* Korean description without hints */
+        seconds, /* Requested duration or null */
+        motion: motion ? motion.value : null, /* English camera motion or null */
+        transition: transition ? transition.value : null /* English transition or null */
+      }; /* End record */
+    }); /* End map */
+  } /* End parse */
+}; /* End StoryboardParser */
+
+/* Placeholder names each kind of template may use; anything else is reported when guidelines load */
+const TEMPLATE_NAMES = { /* Start placeholder name lists */
+  model: ["subject", "environment", "lighting", "materials", "mood", "composition", "details", "duration", "engine", "aspect", "stylize", "seed", "negative"], /* Single-prompt template */
+  shot: ["index", "seconds", "description", "motion", "transition", "engine"], /* Storyboard shotTemplate */
+  storyboard: ["shotCount", "totalSeconds", "engine", "aspect", "stylize", "seed", "negative"] /* Storyboard header and footer */
+}; /* End placeholder name lists */
+
+/* Helper: merge lexicons for a model; later sources win, so the order is user > model > global */
+function mergeModelLexicon(modelRecord, sharedLexicon) { /* Define lexicon merge */
+  return Object.assign( /* Merge lexicons in order of priority */
+    {}, /* Start with empty object */
+    sharedLexicon || {}, /* Lowest: the guideline file's global lexicon */
+    modelRecord.lexicon || {}, /* Middle: the guideline file's model lexicon */
+    (globalThis.UserLexicon && globalThis.UserLexicon.read(modelRecord.id)) || {} /* Highest: user entries, per-model over global */
+  ); /* End merge */
+} /* End mergeModelLexicon */
+
+/* Helper: create a translator that records spans and leftovers across several calls */
+function createTranslationSession(mergedLexicon) { /* Define session factory */
+  const spans = []; /* Collect translated spans across all slots */
+  const leftovers = new Map(); /* Collect untranslated Korean words across all slots keyed by stem */
+  return { /* Return the session API */
+    /* Translate one value and record its spans and leftovers under the slot name */
+    translate: function (slotName, value) { /* Define slot translation helper */
+      const analysis = MiniTranslator.analyze(String(value), mergedLexicon); /* Run the translation pipeline */
+      analysis.spans.forEach(span => spans.push(Object.assign({ slot: slotName }, span))); /* Tag spans with their slot */
+      analysis.leftovers.forEach(item => { if (!leftovers.has(item.stem)) leftovers.set(item.stem, item); }); /* Keep each leftover stem once */
+      return analysis.text; /* Return the English text */
+    }, /* End translate */
+    /* Return the collected translation report */
+    report: function () { /* Define report accessor */
+      return { spans, leftovers: Array.from(leftovers.values()) }; /* Provide spans and leftovers */
+    } /* End report */
+  }; /* End session */
+} /* End createTranslationSession */
+
+/* Helper: parse an aspect ratio such as 3:4 into width divided by height, or NaN when malformed */
+function ratioValue(text) { /* Define ratio parser */
+  const match = String(text).match(/^\s*(\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)\s*$/); /* Accept W:H with optional decimals */
+  return match && Number(match[2]) > 0 ? Number(match[1]) / Number(match[2]) : NaN; /* Divide or report malformed */
+} /* End ratioValue */
+
+/* Utility: validate and rescale UI values against the per-parameter schemas in models.json params */
+const ParamSchema = { /* Start parameter schema module */
+  /* Resolve one UI value to the string emitted after the flag, or null to leave the flag out */
+  resolve: function (name, raw, spec, warnings) { /* Define resolver with parameter name, raw UI value, schema and warning sink */
+    if (raw === undefined || raw === null || String(raw).trim() === "") return null; /* Nothing entered means nothing to emit */
+    const text = String(raw).trim(); /* Normalize the raw value */
+    if (!spec) return text; /* Models without a schema keep the raw value */
+    const warn = (message) => warnings.push({ param: name, message }); /* Record a warning for this parameter */
+
+    if (spec.supported === false) { /* The model has no such parameter */
+      if (name !== "stylize" || Number(text) !== 50) warn(`${name} is not supported by this model and was left out.`); /* Only warn when the user changed something */
+      return null; /* Leave the flag out instead of emitting an invalid one */
+    }
+
+    if (spec.type === "ratio") { /* Aspect ratios such as 3:4 */
+      const value = ratioValue(text); /* Parse the ratio */
+      if (Number.isNaN(value)) { warn(`${name} "${text}" is not a ratio like 3:4 and was left out.`); return null; } /* Reject malformed ratios */
+      const normalized = text.replace(/\s+/g, ""); /* Remove inner spaces */
+      if (!spec.allowed || spec.allowed.includes(normalized)) return normalized; /* Accept any ratio or an allowed one */
+      const nearest = spec.allowed.reduce((best, option) => (Math.abs(ratioValue(option) - value) < Math.abs(ratioValue(best) - value) ? option : best)); /* Pick the closest allowed ratio */
+      warn(`${name} ${normalized} is not allowed; using the nearest allowed ratio ${nearest}.`); /* Explain the substitution */
+      return nearest; /* Emit the closest allowed ratio */
+    }
+
+    if (spec.type === "integer" || spec.type === "number") { /* Numeric parameters */
+      let value = Number(text); /* Parse the number */
+      if (!Number.isFinite(value)) { warn(`${name} "${text}" is not a number and was left out.`); return null; } /* Reject non-numbers */
+      const min = spec.min ?? -Infinity; /* Lower bound or none */
+      const max = spec.max ?? Infinity; /* Upper bound or none */
+      if (spec.scale) { /* Map the UI range onto the model's range */
+        const [fromLow, fromHigh] = spec.scale.from; /* UI range */
+        const [toLow, toHigh] = spec.scale.to; /* Model range */
+        value = toLow + ((value - fromLow) / (fromHigh - fromLow)) * (toHigh - toLow); /* Linear rescale */
+        value = Math.min(max, Math.max(min, value)); /* Keep the rescaled value in bounds */
+      } else if (value < min || value > max) { /* Unscaled values must already be in range */
+        warn(`${name} ${text} must be between ${spec.min ?? "-∞"} and ${spec.max ?? "∞"}; it was left out.`); /* Explain the bounds */
+        return null; /* Leave the flag out */
+      }
+      if (spec.type === "integer") { /* Integer parameters */
+        if (!spec.scale && !Number.isInteger(value)) warn(`${name} ${text} was rounded to a whole number.`); /* Explain rounding of typed values */
+        return String(Math.round(value)); /* Emit a whole number */
+      }
+      return String(Math.round(value * 100) / 100); /* Emit at most two decimals */
+    }
+
+    if (spec.allowed && !spec.allowed.includes(text)) { /* Enumerated text parameters */
+      warn(`${name} "${text}" is not one of ${spec.allowed.join(", ")} and was left out.`); /* Explain the allowed values */
+      return null; /* Leave the flag out */
+    }
+    return text; /* Plain text parameters pass through */
+  }, /* End resolve */
+
+  /* Describe a parameter schema in one short phrase for the guideline summary */
+  describe: function (spec) { /* Define schema describer */
+    if (spec.supported === false) return "not supported"; /* Unsupported parameters */
+    const parts = [spec.type || "text"]; /* Start with the type */
+    if (spec.min !== undefined || spec.max !== undefined) parts.push(`${spec.min ?? "…"}–${spec.max ?? "…"}`); /* Add the range */
+    if (spec.allowed) parts.push(`[${spec.allowed.join(", ")}]`); /* Add allowed values */
+    if (spec.scale) parts.push(`(UI ${spec.scale.from.join("–")} → ${spec.scale.to.join("–")})`); /* Add the scaling */
+    return parts.join(" "); /* Join into one phrase */
+  } /* End describe */
+}; /* End ParamSchema */
+
+/* Helper: compose parameter tokens based on UI selected values using model-specific keys and schemas */
+function composeParameterTokens(params, uiOptions, session, warnings) { /* Define parameter token builder */
+  const token = (name, raw, translate) => { /* Build one flag and value pair */
+    const value = ParamSchema.resolve(name, raw, params[name], warnings); /* Validate and rescale the UI value */
+    if (value === null) return ""; /* Leave the flag out */
+    return `${params[`${name}Key`]} ${translate ? session.translate(name, value) : value}`; /* Join the model's flag with the value */
+  }; /* End token */
+  return { /* Return one token per parameter */
+    aspect: token("aspect", uiOptions.aspect), /* Build aspect parameter string if provided */
+    stylize: token("stylize", uiOptions.stylize ?? 50), /* Supply a stylization parameter with default value when supported */
+    seed: token("seed", uiOptions.seed), /* Build seed parameter if provided */
+    negative: token("negative", uiOptions.negative, true) /* Build negative prompt token */
+  }; /* End tokens */
+} /* End composeParameterTokens */
+
+/* Helper: extract only the final 'Parameters:' line for quick copy */
+function extractParametersLine(filled) { /* Define parameter line extractor */
+  return (filled.match(/Parameters:(.*)$/m) || ["", ""])[1].trim(); /* Capture parameter line by regex */
+} /* End extractParametersLine */
+
+/* Factory: create a builder from a model record and the guideline file's global lexicon */
+function createBuilder(modelRecord, sharedLexicon) { /* Define factory function to construct a builder */
   const params = modelRecord.params || {}; /* Extract parameter keys for the model */
-  const template = modelRecord.template || ""; /* Extract template string for prompt formatting */
+  const template = globalThis.TemplateEngine.compile(modelRecord.template || "", TEMPLATE_NAMES.model); /* Compile the template once so bad placeholders fail at load time */
 
   /* Builder function that returns the final prompt and parameter string */
   return function buildPrompt(input, engine, uiOptions) { /* Define buildPrompt function with input text, engine, and UI options */
-    const mergedLexicon = Object.assign( /* Merge lexicons in order of priority */
-      {}, /* Start with empty object */
-      (window.GlobalGuidelines && window.GlobalGuidelines.lexicon) || {}, /* Include any global lexicon if present */
-      modelRecord.lexicon || {} /* Include model-specific lexicon */
-    ); /* End merge */
-
+    const session = createTranslationSession(mergeModelLexicon(modelRecord, sharedLexicon)); /* Start a translation session with merged lexicons */
     const slots = SlotParser.parse(input); /* Parse the input text into semantic slots */
     const translatedSlots = {}; /* Prepare container for translated slots */
+    const warnings = []; /* Collect notes about values adjusted to fit the model's rules */
+    const maxSeconds = (modelRecord.storyboard || {}).maxShotSeconds; /* Longest clip the model renders in one shot */
+    if (maxSeconds && slots.duration > maxSeconds) { /* Apply the storyboard shot limit to single prompts too */
+      if (engine !== "text-to-image") warnings.push({ message: `Duration ${slots.duration}s shortened to ${maxSeconds}s.` }); /* Only video prompts show the duration */
+      slots.duration = maxSeconds; /* Clamp the duration */
+    }
 
-    /* Iterate over each slot and translate using lexicon replacements */
+    /* Iterate over each slot and translate using the lexicon pipeline */
     for (const [k, v] of Object.entries(slots)) { /* Loop through the slot entries */
-      translatedSlots[k] = MiniTranslator.translate(String(v), mergedLexicon); /* Translate slot string values */
+      translatedSlots[k] = session.translate(k, v); /* Translate slot string values */
     } /* End loop */
 
     /* Compose parameter tokens based on UI selected values using model-specific keys */
-    const aspectToken = uiOptions.aspect ? `${params.aspectKey} ${uiOptions.aspect}` : ""; /* Build aspect parameter string if provided */
-    const stylizeToken = `${params.stylizeKey} ${uiOptions.stylize ?? 50}`; /* Always supply a stylization parameter with default value */
-    const seedToken = uiOptions.seed ? `${params.seedKey} ${uiOptions.seed}` : ""; /* Build seed parameter if provided */
-    const negativeToken = uiOptions.negative ? `${params.negativeKey} ${MiniTranslator.translate(uiOptions.negative, mergedLexicon)}` : ""; /* Build negative prompt token */
+    const tokens = composeParameterTokens(params, uiOptions, session, warnings); /* Build aspect, stylize, seed and negative tokens; parameter notes carry their name */
 
     /* Map engine human-readable to the specific string used in templates if needed */
     translatedSlots.engine = engine; /* Store engine type for templates that include it */
-    const filled = template /* Begin filling the template */
-      .replace("{subject}", translatedSlots.subject) /* Insert subject */
-      .replace("{environment}", translatedSlots.environment) /* Insert environment */
-      .replace("{lighting}", translatedSlots.lighting) /* Insert lighting */
-      .replace("{materials}", translatedSlots.materials) /* Insert materials */
-      .replace("{mood}", translatedSlots.mood) /* Insert mood */
-      .replace("{composition}", translatedSlots.composition) /* Insert composition */
-      .replace("{details}", translatedSlots.details) /* Insert detail list */
-      .replace("{duration}", String(translatedSlots.duration)) /* Insert default duration if used */
-      .replace("{engine}", translatedSlots.engine) /* Insert engine name if needed */
-      .replace("{aspect}", aspectToken) /* Insert aspect parameter token */
-      .replace("{stylize}", stylizeToken) /* Insert stylize parameter token */
-      .replace("{seed}", seedToken) /* Insert seed parameter token */
-      .replace("{negative}", negativeToken) /* Insert negative parameter token */
-      .trim(); /* Trim extra whitespace */
-
-    /* Extract only the final 'Parameters:' line for quick copy if needed */
-    const paramsLine = (filled.match(/Parameters:(.*)$/m) || ["", ""])[1].trim(); /* Capture parameter line by regex */
-
-    /* Return both the full prompt and the parameters-only string */
-    return { full: filled, params: paramsLine }; /* Provide result object to caller */
+    const filled = template.render(Object.assign({}, translatedSlots, tokens)); /* Fill every placeholder, section and filter */
+
+    /* Return the full prompt, the parameters-only string, the filled slots, { param?, message } warnings and the translation report */
+    return { full: filled, params: extractParametersLine(filled), slots: translatedSlots, warnings, translation: session.report() }; /* Provide result object to caller */
   }; /* End buildPrompt */
 } /* End createBuilder */
 
+/* Factory: create a multi-shot storyboard builder from a model record with a storyboard section */
+function createStoryboardBuilder(modelRecord, sharedLexicon) { /* Define factory function for video storyboards */
+  const params = modelRecord.params || {}; /* Extract parameter keys for the model */
+  const board = modelRecord.storyboard; /* Extract storyboard templates and limits */
+  const motionLexicon = Object.assign({}, STORYBOARD_DEFAULTS.motionLexicon, board.motionLexicon || {}); /* Model motion terms override defaults */
+  const transitionLexicon = Object.assign({}, STORYBOARD_DEFAULTS.transitionLexicon, board.transitionLexicon || {}); /* Model transition terms override defaults */
+  const shotTemplate = globalThis.TemplateEngine.compile(board.shotTemplate, TEMPLATE_NAMES.shot); /* Compile the per-shot template */
+  const header = globalThis.TemplateEngine.compile(board.header || "", TEMPLATE_NAMES.storyboard); /* Compile the storyboard header */
+  const footer = globalThis.TemplateEngine.compile(board.footer || "", TEMPLATE_NAMES.storyboard); /* Compile the storyboard footer */
+
+  /* Builder function that returns per-shot prompts, total runtime and the parameter string */
+  return function buildStoryboard(input, engine, uiOptions) { /* Define storyboard builder with input text, engine, and UI options */
+    const session = createTranslationSession(mergeModelLexicon(modelRecord, sharedLexicon)); /* Start a translation session with merged lexicons */
+    const warnings = []; /* Collect notes about values adjusted to fit the model's rules */
+    const parsed = StoryboardParser.parse(input, motionLexicon, transitionLexicon); /* Split the input into shots */
+
+    const shots = parsed.map((shot, i) => { /* Resolve every shot against the model's rules */
+      let seconds = shot.seconds || board.defaultShotSeconds; /* Every shot gets a duration hint */
+      if (board.maxShotSeconds && seconds > board.maxShotSeconds) { /* Enforce the model's shot length limit */
+        warnings.push({ message: `Shot ${shot.index}: ${seconds}s shortened to ${board.maxShotSeconds}s.` }); /* Explain the adjustment */
+        seconds = board.maxShotSeconds; /* Clamp the duration */
+      }
+      const isLast = i === parsed.length - 1; /* The final shot has no outgoing transition */
+      const values = { /* Values available to the shot template */
+        index: shot.index, /* One-based shot number */
+        seconds, /* Resolved duration */
+        description: session.translate(`shot${shot.index}`, shot.description || "product beauty shot"), /* English description */
+        motion: shot.motion || board.defaultMotion, /* Every shot gets a camera motion */
+        transition: isLast ? board.finalTransition : (shot.transition || board.defaultTransition), /* Every cut gets a transition */
+        engine /* Engine name for templates that include it */
+      }; /* End values */
+      if (i === 0 && engine === "image-to-video" && board.entryFramePrefix) values.description = `${board.entryFramePrefix}${values.description}`; /* Describe the entry frame for image-to-video */
+      return Object.assign(values, { prompt: shotTemplate.render(values) }); /* Keep the values with the filled shot prompt */
+    }); /* End shot map */
+
+    const totalSeconds = shots.reduce((sum, shot) => sum + Number(shot.seconds), 0); /* Sum the runtime */
+    const tokens = composeParameterTokens(params, uiOptions, session, warnings); /* Build aspect, stylize, seed and negative tokens; parameter notes carry their name */
+    const summary = Object.assign({ shotCount: shots.length, totalSeconds, engine }, tokens); /* Values available to header and footer */
+    const guideline = uiOptions.guideline ? session.translate("guideline", uiOptions.guideline) : ""; /* Custom rules apply to every shot, so they are never split into one */
+    const filled = [ /* Assemble the storyboard text */
+      header.render(summary), /* Storyboard header */
+      guideline, /* Custom rules below the header */
+      ...shots.map(shot => shot.prompt), /* One line per shot */
+      footer.render(summary) /* Runtime and parameter footer */
+    ].filter(Boolean).join("\n").trim(); /* Drop empty sections and join lines */
+
+    /* Return the storyboard, per-shot prompts, runtime, { param?, message } warnings and the translation report */
+    return { full: filled, params: extractParametersLine(filled), shots, totalSeconds, warnings, translation: session.report() }; /* Provide result object to caller */
+  }; /* End buildStoryboard */
+} /* End createStoryboardBuilder */
+
+/* Describe a model's parameters as flag names and schema phrases for the guideline summary */
+globalThis.PromptEngines.describeParameters = function (params) { /* Define parameter summary for the UI */
+  return ["aspect", "stylize", "seed", "negative"].map(name => { /* One phrase per UI parameter */
+    const spec = (params || {})[name]; /* Schema for the parameter if declared */
+    const key = (params || {})[`${name}Key`] || "-"; /* Flag name for the parameter */
+    return spec ? `${name} ${key} (${ParamSchema.describe(spec)})` : `${name} ${key}`; /* Include the schema when declared */
+  }); /* End map */
+}; /* End describeParameters */
+
+/* Placeholder names per template kind for the guideline validator */
+globalThis.PromptEngines.templateNames = TEMPLATE_NAMES; /* Expose the lists used when compiling templates */
+
 /* Registry builder: install builders for each model ID when guidelines load */
-window.PromptEngines.installFromGuidelines = function (guidelines) { /* Define function to install engines from guidelines JSON */
-  window.PromptEngines.builders = {}; /* Reset builders registry to an empty object */
+globalThis.PromptEngines.installFromGuidelines = function (guidelines) { /* Define function to install engines from guidelines JSON */
+  globalThis.PromptEngines.builders = {}; /* Reset builders registry to an empty object */
+  globalThis.PromptEngines.storyboards = {}; /* Reset storyboard registry to an empty object */
   (guidelines.models || []).forEach(model => { /* Iterate through each model record */
-    window.PromptEngines.builders[model.id] = createBuilder(model); /* Create and store a builder function keyed by model ID */
+    globalThis.PromptEngines.builders[model.id] = createBuilder(model, guidelines.lexicon); /* Create and store a builder function keyed by model ID */
+    if (model.storyboard) globalThis.PromptEngines.storyboards[model.id] = createStoryboardBuilder(model, guidelines.lexicon); /* Register storyboard builders for video-capable models */
   }); /* End iteration */
 }; /* End installFromGuidelines */
+
+/* Expose the parsers and factories so Node scripts can build prompts without a page */
+Object.assign(globalThis.PromptEngines, { MiniTranslator, SlotParser, StoryboardParser, createBuilder, createStoryboardBuilder }); /* Attach core pieces next to the registries */
+if (typeof module !== "undefined" && module.exports) module.exports = globalThis.PromptEngines; /* Export the same object for require() from Node scripts */
@@ -0,0 +1,148 @@
+/* Small template language for models.json prompt templates */
+"use strict"; /* Enforce strict mode for safer JavaScript */
+
+/*
+ * Syntax supported in "template" and storyboard templates:
+ *   {name}                          insert a value; every occurrence is replaced
+ *   {name|lower} {name|upper}       change case
+ *   {name|trim}                     remove surrounding spaces
+ *   {name|join:", "}                join a list value with a separator (default ", ")
+ *   {name|default:"fallback"}       use a fallback when the value is empty
+ *   {#if name}...{/if}              keep the section only when the value is not empty
+ *   {#if !name}...{/if}             keep the section only when the value is empty
+ *   {#if name == "text"}...{else}...{/if}   compare with a quoted string (also !=)
+ *   {{ and }}                       literal braces
+ * Rendered text has repeated spaces collapsed, line edges trimmed and blank-line runs reduced to one.
+ */
+
+/* Filters available after a pipe, keyed by name */
+const TEMPLATE_FILTERS = { /* Start filter table */
+  lower: (value) => String(value).toLowerCase(), /* Lowercase the value */
+  upper: (value) => String(value).toUpperCase(), /* Uppercase the value */
+  trim: (value) => String(value).trim(), /* Trim surrounding whitespace */
+  join: (value, arg) => (Array.isArray(value) ? value.filter(isTemplateValueSet).join(arg ?? ", ") : String(value)), /* Join list values */
+  default: (value, arg) => (isTemplateValueSet(value) ? value : arg ?? "") /* Fall back when empty */
+}; /* End filter table */
+
+/* Helper: true when a value counts as set for {#if} and the default filter */
+function isTemplateValueSet(value) { /* Define truthiness for template values */
+  if (Array.isArray(value)) return value.some(isTemplateValueSet); /* Lists need at least one set item */
+  return value !== undefined && value !== null && String(value).trim() !== ""; /* Strings and numbers must not be blank */
+} /* End isTemplateValueSet */
+
+/* Helper: read a double-quoted string literal such as "a \"b\"" */
+function unquoteTemplateString(text) { /* Define string literal reader */
+  return text.slice(1, -1).replace(/\\(.)/g, "$1"); /* Drop quotes and unescape characters */
+} /* End unquoteTemplateString */
+
+/* Helper: parse a placeholder body such as name|join:", "|default:"x" */
+function parseTemplateExpression(body, problems) { /* Define expression parser */
+  const parts = body.match(/(?:"(?:[^"\\]|\\.)*"|[^|])+/g) || []; /* Split on pipes outside quotes */
+  const name = (parts.shift() || "").trim(); /* The first part names the value */
+  if (!/^\w+$/.test(name)) problems.push(`Invalid placeholder "{${body}}".`); /* Names are word characters only */
+  const filters = parts.map(part => { /* Parse each filter */
+    const match = part.match(/^\s*(\w+)\s*(?::\s*("(?:[^"\\]|\\.)*"|[^"]*?))?\s*$/); /* Filter name with an optional argument */
+    if (!match || !TEMPLATE_FILTERS[match[1]]) { problems.push(`Unknown filter "${part.trim()}" in "{${body}}".`); return null; } /* Reject unknown filters */
+    const arg = match[2] === undefined ? undefined : match[2].startsWith('"') ? unquoteTemplateString(match[2]) : match[2]; /* Quoted or bare argument */
+    return { name: match[1], arg }; /* Return the filter call */
+  }).filter(Boolean); /* Drop rejected filters */
+  return { type: "var", name, filters }; /* Return the placeholder node */
+} /* End parseTemplateExpression */
+
+/* Helper: parse an {#if} condition such as !seed or engine == "text-to-video" */
+function parseTemplateCondition(body, problems) { /* Define condition parser */
+  const match = body.match(/^\s*(!)?\s*(\w+)\s*(?:(==|!=)\s*("(?:[^"\\]|\\.)*"))?\s*$/); /* Optional negation and comparison */
+  if (!match) { problems.push(`Invalid condition "{#if ${body}}".`); return { name: "", negate: false }; } /* Report malformed conditions */
+  return { negate: Boolean(match[1]), name: match[2], op: match[3], value: match[4] === undefined ? undefined : unquoteTemplateString(match[4]) }; /* Return the condition */
+} /* End parseTemplateCondition */
+
+/* Parse a template into a tree of text, placeholder and section nodes */
+function parseTemplate(template, problems) { /* Define the parser */
+  const root = { children: [] }; /* Top-level node list */
+  const stack = [root]; /* Open sections, innermost last */
+  const current = () => { const top = stack[stack.length - 1]; return top.inElse ? top.otherwise : top.children; }; /* Node list receiving output */
+  const pattern = /\{\{|\}\}|\{([^{}]*)\}/g; /* Escapes and tags */
+  let cursor = 0; /* Position after the last tag */
+  let match; /* Current regex match */
+  while ((match = pattern.exec(template)) !== null) { /* Walk every tag */
+    if (match.index > cursor) current().push({ type: "text", value: template.slice(cursor, match.index) }); /* Emit literal text before the tag */
+    cursor = pattern.lastIndex; /* Move past the tag */
+    if (match[0] === "{{" || match[0] === "}}") { current().push({ type: "text", value: match[0][0] }); continue; } /* Literal brace */
+    const body = match[1].trim(); /* Tag content */
+    if (body.startsWith("#if ")) { /* Open a section */
+      const node = { type: "if", condition: parseTemplateCondition(body.slice(4), problems), children: [], otherwise: [], inElse: false }; /* Section node */
+      current().push(node); /* Attach it to the enclosing list */
+      stack.push(node); /* Make it the receiving section */
+    } else if (body === "else") { /* Switch to the else branch */
+      const top = stack[stack.length - 1]; /* Innermost section */
+      if (top === root || top.inElse) problems.push("{else} without a matching {#if}."); /* Reject stray else */
+      else top.inElse = true; /* Start the else branch */
+    } else if (body === "/if") { /* Close a section */
+      if (stack.length === 1) problems.push("{/if} without a matching {#if}."); /* Reject stray close */
+      else stack.pop(); /* Return to the enclosing list */
+    } else { /* Plain placeholder */
+      current().push(parseTemplateExpression(body, problems)); /* Emit the placeholder node */
+    }
+  }
+  if (cursor < template.length) current().push({ type: "text", value: template.slice(cursor) }); /* Emit trailing text */
+  if (stack.length > 1) problems.push(`${stack.length - 1} {#if} section(s) are not closed with {/if}.`); /* Report unclosed sections */
+  return root.children; /* Return the top-level nodes */
+} /* End parseTemplate */
+
+/* Helper: collect every name a node tree reads */
+function collectTemplateNames(nodes, names) { /* Define name collector */
+  nodes.forEach(node => { /* Walk each node */
+    if (node.type === "var") names.add(node.name); /* Placeholder names */
+    if (node.type === "if") { /* Section names and children */
+      if (node.condition.name) names.add(node.condition.name); /* Condition name */
+      collectTemplateNames(node.children, names); /* Names in the main branch */
+      collectTemplateNames(node.otherwise, names); /* Names in the else branch */
+    }
+  }); /* End node loop */
+  return names; /* Return the collected set */
+} /* End collectTemplateNames */
+
+/* Helper: render a node tree with values */
+function renderTemplateNodes(nodes, values) { /* Define renderer */
+  return nodes.map(node => { /* Render each node */
+    if (node.type === "text") return node.value; /* Literal text */
+    if (node.type === "var") { /* Placeholder */
+      const value = node.filters.reduce((acc, f) => TEMPLATE_FILTERS[f.name](acc, f.arg), values[node.name]); /* Apply filters in order */
+      if (!isTemplateValueSet(value)) return ""; /* Missing values render as nothing */
+      return Array.isArray(value) ? value.filter(isTemplateValueSet).join(", ") : String(value); /* Lists join with commas by default */
+    }
+    const { negate, name, op, value } = node.condition; /* Section condition */
+    const actual = values[name]; /* Value being tested */
+    let pass = op ? String(actual ?? "") === value : isTemplateValueSet(actual); /* Compare or test for presence */
+    if (op === "!=") pass = !pass; /* Invert inequality */
+    if (negate) pass = !pass; /* Apply leading ! */
+    return renderTemplateNodes(pass ? node.children : node.otherwise, values); /* Render the chosen branch */
+  }).join(""); /* Join rendered pieces */
+} /* End renderTemplateNodes */
+
+/* Helper: tidy whitespace left behind by empty values and skipped sections */
+function cleanTemplateWhitespace(text) { /* Define whitespace cleanup */
+  return text /* Start from the rendered text */
+    .split("\n") /* Work line by line */
+    .map(line => line.replace(/[ \t]{2,}/g, " ").trim()) /* Collapse repeated spaces and trim line edges */
+    .join("\n") /* Rejoin lines */
+    .replace(/\n{3,}/g, "\n\n") /* Reduce runs of blank lines to one */
+    .trim(); /* Trim the whole text */
+} /* End cleanTemplateWhitespace */
+
+/* Compile a template, throwing an Error for syntax errors or names outside knownNames */
+function compileTemplate(template, knownNames) { /* Define compiler */
+  const problems = []; /* Collect every problem before throwing */
+  const nodes = parseTemplate(String(template ?? ""), problems); /* Parse the template */
+  const names = Array.from(collectTemplateNames(nodes, new Set())); /* Names the template reads */
+  if (knownNames) names.filter(name => name && !knownNames.includes(name)).forEach(name => problems.push(`Unknown placeholder "{${name}}"; expected one of ${knownNames.join(", ")}.`)); /* Reject unknown names */
+  if (problems.length) throw Object.assign(new Error(problems.join(" ")), { problems }); /* Surface every problem at once, keeping the list for validation reports */
+  return { /* Return the compiled template */
+    names, /* Names the template reads */
+    render: (values) => cleanTemplateWhitespace(renderTemplateNodes(nodes, values || {})) /* Render with values and tidy whitespace */
+  }; /* End compiled template */
+} /* End compileTemplate */
+
+/* Export template helpers to the global object for usage in promptEngines.js and guidelineValidator.js */
+globalThis.TemplateEngine = { compile: compileTemplate, filters: Object.keys(TEMPLATE_FILTERS) }; /* Attach template API to a global object */
+if (typeof module !== "undefined" && module.exports) module.exports = globalThis.TemplateEngine; /* Also export it for require() from Node scripts */
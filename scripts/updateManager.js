@@ -1,74 +1,269 @@
-/* Update manager that loads guidelines JSON and supports auto-refresh and remote source override */
+/* Update manager that loads layered guidelines sources and supports conditional auto-refresh with retry backoff */
 "use strict"; /* Use strict mode for reliability */
+if (typeof module !== "undefined" && module.exports) { require("./promptEngines.js"); require("./guidelineValidator.js"); } /* In Node, load the modules the browser loads with script tags */
 
 /* Define a global to store the currently loaded guidelines and version */
-window.GlobalGuidelines = { version: "0.0.0", updatedAt: "", lexicon: {} }; /* Initialize with defaults */
+globalThis.GlobalGuidelines = { version: "0.0.0", updatedAt: "", lexicon: {} }; /* Initialize with defaults */
 
 /* Persistent configuration keys used with localStorage */
 const STORAGE_KEYS = { /* Key names for saving settings */
-  SOURCE_URL: "guidelines.sourceUrl", /* Key to remember custom remote JSON URL */
+  SOURCE_URL: "guidelines.sourceUrl", /* Legacy key for the single remote URL, migrated into SOURCES on first read */
+  SOURCES: "guidelines.sources", /* Key to remember extra sources layered over the bundled file, lowest priority first */
+  SOURCE_STATE: "guidelines.sourceState", /* Key to remember per-source validators, last good layer and failures */
   AUTO_MINUTES: "guidelines.autoMinutes", /* Key to remember auto-update interval in minutes */
-  CACHED_JSON: "guidelines.cachedJson" /* Key to remember last fetched JSON string */
+  CACHED_JSON: "guidelines.cachedJson" /* Key to remember last merged JSON string */
 }; /* End storage keys */
 
-/* Helper: fetch JSON with graceful fallback */
-async function fetchJson(url) { /* Define async function to fetch JSON content from a URL */
-  const response = await fetch(url, { cache: "no-store" }); /* Request the resource without storing cache */
-  if (!response.ok) throw new Error(`Failed to fetch ${url}`); /* Throw error for non-200 responses */
-  return await response.json(); /* Parse and return JSON body */
-} /* End fetchJson */
-
-/* Load guidelines from remote or local file, prefer remote if configured */
-async function loadGuidelines() { /* Define main loader function */
-  const sourceUrl = localStorage.getItem(STORAGE_KEYS.SOURCE_URL); /* Get any saved remote URL */
-  let data = null; /* Initialize variable to hold loaded JSON */
-
-  try { /* Try block to attempt remote then local fetching */
-    if (sourceUrl) { /* If a remote URL has been configured */
-      data = await fetchJson(sourceUrl); /* Fetch guidelines from remote URL */
-      data.source = "remote"; /* Mark the source as remote for transparency */
-    } else { /* If no remote URL configured */
-      data = await fetchJson("../assets/models.json"); /* Load the local bundled JSON file */
-      data.source = "local"; /* Mark the source as local */
+/* The bundled guidelines file always forms the bottom layer */
+const BUNDLED_SOURCE = { name: "bundled", url: "../assets/models.json" }; /* Name and location of the shipped models.json */
+
+/* Delay before retrying a failed source, doubled after every further failure */
+const RETRY_BACKOFF = { BASE_MS: 30 * 1000, MAX_MS: 30 * 60 * 1000 }; /* Start at 30 seconds and cap at 30 minutes */
+
+/* Helper: read a JSON value from localStorage, or a fallback when missing or unreadable */
+function readStoredJson(key, fallback) { /* Define storage reader */
+  const raw = localStorage.getItem(key); /* Read the stored string */
+  if (!raw) return fallback; /* Nothing stored yet */
+  try { return JSON.parse(raw); } catch { return fallback; } /* Parse the JSON string and ignore corrupt entries */
+} /* End readStoredJson */
+
+/* Read the extra sources as [{ name, url }], migrating the older single source URL */
+function readGuidelineSources() { /* Define source list reader */
+  const stored = readStoredJson(STORAGE_KEYS.SOURCES, null); /* Read the saved list */
+  if (Array.isArray(stored)) return stored.filter(s => s && s.url); /* Current format */
+  const legacyUrl = localStorage.getItem(STORAGE_KEYS.SOURCE_URL); /* Older single remote URL */
+  const sources = legacyUrl ? [{ name: "remote", url: legacyUrl }] : []; /* The remote file becomes the only extra layer */
+  if (legacyUrl) { writeGuidelineSources(sources); localStorage.removeItem(STORAGE_KEYS.SOURCE_URL); } /* Persist the migration once */
+  return sources; /* Provide the list */
+} /* End readGuidelineSources */
+
+/* Save the extra sources, naming unnamed entries and dropping state for removed URLs */
+function writeGuidelineSources(sources) { /* Define source list writer */
+  const list = (sources || []) /* Start from the given list */
+    .map((s, i) => ({ name: String(s.name || "").trim() || `source-${i + 1}`, url: String(s.url || "").trim() })) /* Normalize names and URLs */
+    .filter(s => s.url && s.url !== BUNDLED_SOURCE.url); /* Skip empty rows and the bundled file */
+  localStorage.setItem(STORAGE_KEYS.SOURCES, JSON.stringify(list)); /* Save the list */
+  const state = readStoredJson(STORAGE_KEYS.SOURCE_STATE, {}); /* Load per-source state */
+  const keep = new Set([BUNDLED_SOURCE.url].concat(list.map(s => s.url))); /* URLs still in use */
+  Object.keys(state).forEach(url => { if (!keep.has(url)) delete state[url]; }); /* Forget removed sources */
+  localStorage.setItem(STORAGE_KEYS.SOURCE_STATE, JSON.stringify(state)); /* Save the pruned state */
+  return list; /* Provide the normalized list */
+} /* End writeGuidelineSources */
+
+/* Helper: true when a URL is served from the page's own origin */
+function isSameOriginUrl(url) { /* Define origin check */
+  if (!globalThis.location) return false; /* No page origin outside the browser */
+  try { /* Relative and malformed URLs both end up here */
+    return new URL(url, globalThis.location.href).origin === globalThis.location.origin; /* Compare resolved origins */
+  } catch (err) { /* Malformed URL */
+    return false; /* Let fetch report the real error */
+  }
+} /* End isSameOriginUrl */
+
+/* Helper: fetch one source; same-origin files get ETag/Last-Modified validators when a previous copy is cached */
+async function fetchGuidelineLayer(source, entry) { /* Define conditional fetch */
+  if (!isSameOriginUrl(source.url)) { /* Custom headers would force a CORS preflight and ETag is usually not exposed */
+    const response = await fetch(source.url, { cache: "no-cache" }); /* Plain request; the browser's HTTP cache revalidates on its own */
+    if (!response.ok) throw new Error(`Failed to fetch ${source.url} (HTTP ${response.status})`); /* Throw error for non-200 responses */
+    return { data: await response.json(), etag: "", lastModified: "", notModified: false }; /* Provide the layer without validators */
+  }
+  const headers = {}; /* Request headers */
+  if (entry.data && entry.etag) headers["If-None-Match"] = entry.etag; /* Ask the server to skip unchanged files by ETag */
+  if (entry.data && entry.lastModified) headers["If-Modified-Since"] = entry.lastModified; /* Or by modification date */
+  const response = await fetch(source.url, { cache: "no-store", headers }); /* Bypass the browser cache so validators reach the server */
+  if (response.status === 304 && entry.data) return { data: entry.data, etag: entry.etag, lastModified: entry.lastModified, notModified: true }; /* Reuse the cached layer */
+  if (!response.ok) throw new Error(`Failed to fetch ${source.url} (HTTP ${response.status})`); /* Throw error for non-200 responses */
+  const data = await response.json(); /* Parse the JSON body */
+  return { data, etag: response.headers.get("ETag") || "", lastModified: response.headers.get("Last-Modified") || "", notModified: false }; /* Provide the layer and its validators */
+} /* End fetchGuidelineLayer */
+
+/* Helper: throw when a layer is not shaped like a (possibly partial) guidelines document */
+function assertGuidelineLayer(data, origin) { /* Define structural check for override files */
+  const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value); /* Plain object test */
+  if (!isObject(data)) throw new Error(`Invalid guidelines from ${origin}: file must be a JSON object.`); /* Reject non-objects */
+  if (data.models !== undefined && (!Array.isArray(data.models) || !data.models.every(m => isObject(m) && typeof m.id === "string" && m.id))) { /* Every model needs an ID to merge on */
+    throw new Error(`Invalid guidelines from ${origin}: "models" must be an array of objects with an "id".`); /* Reject unmergeable models */
+  }
+  if (data.lexicon !== undefined && !isObject(data.lexicon)) throw new Error(`Invalid guidelines from ${origin}: "lexicon" must be an object.`); /* Reject malformed lexicons */
+} /* End assertGuidelineLayer */
+
+/* Model fields merged key by key, so a layer can change one param, term or storyboard setting */
+const DEEP_MERGED_MODEL_FIELDS = ["params", "lexicon", "storyboard"]; /* Object fields of a model record */
+
+/* Helper: merge two plain objects key by key; nested objects merge too, arrays and other values are replaced */
+function mergeLayerObjects(base, layer) { /* Define recursive object merge */
+  const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value); /* Plain object test */
+  if (!isObject(base) || !isObject(layer)) return layer; /* Non-objects replace the lower value */
+  const merged = Object.assign({}, base); /* Copy the lower object */
+  Object.keys(layer).forEach(key => { merged[key] = mergeLayerObjects(base[key], layer[key]); }); /* Merge each key of the layer */
+  return merged; /* Provide the merged object */
+} /* End mergeLayerObjects */
+
+/* Helper: merge a layer over the guidelines below it; models merge on their "id", params, lexicon and storyboard key by key */
+function mergeGuidelineLayers(base, layer) { /* Define layer merge */
+  if (!base) return JSON.parse(JSON.stringify(layer)); /* The first layer is copied as is */
+  const models = base.models.map(model => Object.assign({}, model)); /* Copy lower models */
+  (layer.models || []).forEach(override => { /* Apply each model of the layer */
+    const index = models.findIndex(model => model.id === override.id); /* Find the model it overrides */
+    if (index === -1) models.push(Object.assign({}, override)); /* New models are appended */
+    else models[index] = Object.assign(models[index], override, ...DEEP_MERGED_MODEL_FIELDS.filter(field => field in override).map(field => ({ [field]: mergeLayerObjects(models[index][field], override[field]) }))); /* Other fields present in the layer replace the lower ones */
+  }); /* End model loop */
+  return Object.assign({}, base, { /* Keep lower top-level fields unless the layer sets them */
+    version: layer.version ? `${base.version}+${layer.version}` : base.version, /* Combine versions so any layer change shows up */
+    updatedAt: [base.updatedAt || "", layer.updatedAt || ""].sort().pop(), /* Latest update date across layers */
+    lexicon: Object.assign({}, base.lexicon || {}, layer.lexicon || {}), /* Layer terms win */
+    models /* Merged model list */
+  }); /* End merged document */
+} /* End mergeGuidelineLayers */
+
+/* Helper: read the last good guidelines from cache, or null when missing or unreadable */
+function readCachedGuidelines() { /* Define cache reader */
+  return readStoredJson(STORAGE_KEYS.CACHED_JSON, null); /* Parse the cached JSON string and ignore corrupt entries */
+} /* End readCachedGuidelines */
+
+/* Helper: throw when a guidelines document fails schema validation */
+function assertValidGuidelines(data, origin) { /* Define validation gate */
+  const report = globalThis.GuidelineValidator.validate(data); /* Run the schema checks */
+  if (!report.valid) { /* Reject documents with fatal problems */
+    const error = new Error(`Invalid guidelines from ${origin}:\n- ${report.errors.join("\n- ")}`); /* Build a readable error */
+    error.validation = report; /* Attach the full report for callers that want details */
+    throw error; /* Surface the problem to the loader */
+  }
+  return report; /* Provide warnings to the caller */
+} /* End assertValidGuidelines */
+
+/* Helper: summarize per-source state for the status indicator */
+function describeSourceState(source, entry) { /* Define status record */
+  return { /* Return the public status */
+    name: source.name, /* Source name */
+    url: source.url, /* Source location */
+    lastSuccess: entry.lastSuccess || "", /* Time of the last successful fetch */
+    lastAttempt: entry.lastAttempt || "", /* Time of the last fetch attempt */
+    lastError: entry.lastError || "", /* Reason the last attempt failed, empty after a success */
+    failures: entry.failures || 0, /* Consecutive failures */
+    nextAttempt: entry.nextAttempt || 0, /* Earliest retry time in milliseconds, 0 when not backing off */
+    notModified: Boolean(entry.notModified), /* Whether the last success was a 304 */
+    used: false /* Whether the layer is part of the active guidelines */
+  }; /* End status */
+} /* End describeSourceState */
+
+/* Load every source in order and merge them, skipping sources still backing off unless forced; options.review(diff) can decline the changes before they are installed */
+async function loadGuidelines(options) { /* Define main loader function */
+  const force = Boolean(options && options.force); /* Manual refreshes ignore backoff */
+  const sources = [BUNDLED_SOURCE].concat(readGuidelineSources()); /* Bundled file first, then extra layers by priority */
+  const state = readStoredJson(STORAGE_KEYS.SOURCE_STATE, {}); /* Per-source validators, last good layer and failures */
+  const previous = readCachedGuidelines(); /* Remember the last good guidelines for the change log */
+  const statuses = []; /* Status per source for the indicator */
+  const modelSources = {}; /* Source names that contributed to each model */
+  let merged = null; /* Guidelines merged so far */
+
+  for (const source of sources) { /* Walk layers from lowest to highest priority */
+    const entry = Object.assign({ failures: 0 }, state[source.url]); /* Copy the saved state for this source */
+    let layer = null; /* Layer used for this source */
+    if (force || !(entry.nextAttempt > Date.now())) { /* Fetch when not backing off */
+      entry.lastAttempt = new Date().toISOString(); /* Record the attempt */
+      try { /* Try block to isolate one failing source */
+        const fetched = await fetchGuidelineLayer(source, entry); /* Fetch with conditional validators */
+        assertGuidelineLayer(fetched.data, source.name); /* Reject files that cannot be merged */
+        assertValidGuidelines(mergeGuidelineLayers(merged, fetched.data), source.name); /* Reject layers that break the merged guidelines */
+        Object.assign(entry, fetched, { lastSuccess: new Date().toISOString(), lastError: "", failures: 0, nextAttempt: 0 }); /* Remember the good layer */
+        layer = fetched.data; /* Use the fresh layer */
+      } catch (err) { /* Catch fetch, parse or validation errors */
+        entry.failures += 1; /* Count consecutive failures */
+        entry.lastError = err.message; /* Remember why */
+        entry.nextAttempt = Date.now() + Math.min(RETRY_BACKOFF.MAX_MS, RETRY_BACKOFF.BASE_MS * 2 ** (entry.failures - 1)); /* Back off exponentially */
+      }
     }
-    /* Save the raw JSON in localStorage for offline resilience */
-    localStorage.setItem(STORAGE_KEYS.CACHED_JSON, JSON.stringify(data)); /* Cache the JSON string persistently */
-  } catch (err) { /* Catch any errors during fetch */
-    const cached = localStorage.getItem(STORAGE_KEYS.CACHED_JSON); /* Attempt to read cached JSON */
-    if (cached) { /* If cached JSON exists */
-      data = JSON.parse(cached); /* Parse the cached JSON string */
-      data.source = "cache"; /* Mark the source as cache fallback */
-    } else { /* If no cache exists */
-      throw err; /* Re-throw the original error to surface the issue */
+    if (!layer && entry.data && globalThis.GuidelineValidator.validate(mergeGuidelineLayers(merged, entry.data)).valid) layer = entry.data; /* Keep the last good copy while backing off or after a failure */
+    const status = describeSourceState(source, entry); /* Summarize the source */
+    if (layer) { /* Apply the layer */
+      merged = mergeGuidelineLayers(merged, layer); /* Merge it over the lower layers */
+      (layer.models || []).forEach(model => (modelSources[model.id] = modelSources[model.id] || []).push(source.name)); /* Record which sources touched each model */
+      status.used = true; /* Mark the layer as active */
     }
+    state[source.url] = entry; /* Keep the updated state */
+    statuses.push(status); /* Keep the status for the indicator */
+  } /* End source loop */
+  localStorage.setItem(STORAGE_KEYS.SOURCE_STATE, JSON.stringify(state)); /* Persist validators, layers and backoff */
+
+  const lastDiff = merged && previous ? globalThis.GuidelineValidator.diff(previous, merged) : null; /* Describe what this refresh would change before anything is replaced */
+  if (lastDiff && lastDiff.hasChanges && options && options.review && !(await options.review(lastDiff))) { /* Let the caller preview and decline the changes */
+    globalThis.GlobalGuidelines.sources = statuses; /* Refresh source status only */
+    return null; /* Keep the installed guidelines and cache */
+  }
+
+  let data = merged; /* Guidelines to install */
+  let lastError = ""; /* Initialize message describing a rejected refresh */
+  if (data) { /* At least one layer loaded */
+    data.source = statuses.filter(s => s.used).map(s => s.name).join(" + "); /* Mark the layers used for transparency */
+    data.modelSources = modelSources; /* Keep per-model provenance with the cached copy */
+    localStorage.setItem(STORAGE_KEYS.CACHED_JSON, JSON.stringify(data)); /* Cache the merged JSON string persistently */
+  } else { /* Nothing could be loaded */
+    lastError = statuses.map(s => s.lastError).filter(Boolean).join("\n") || "No guidelines source could be loaded."; /* Explain the failure */
+    const cached = previous && globalThis.GuidelineValidator.validate(previous).valid ? previous : null; /* Only fall back to a cache that still validates */
+    if (!cached) { /* If no cache exists */
+      globalThis.GlobalGuidelines.sources = statuses; /* Still expose source status for the indicator */
+      throw new Error(lastError); /* Surface the issue */
+    }
+    data = cached; /* Keep the last good guidelines */
+    data.source = "cache"; /* Mark the source as cache fallback */
   }
 
   /* Update the global with newly loaded data */
-  window.GlobalGuidelines = { /* Assign loaded data to global variable */
+  globalThis.GlobalGuidelines = { /* Assign loaded data to global variable */
     version: data.version || "0.0.0", /* Set version string */
     updatedAt: data.updatedAt || "", /* Set last updated date */
-    lexicon: {} /* Provide a merge point for future global lexicon additions */
+    lexicon: data.lexicon || {}, /* Guideline-wide lexicon shared by every model */
+    source: data.source, /* Record which layers the active guidelines came from */
+    sources: statuses, /* Per-source status for the indicator */
+    modelSources: data.modelSources || {}, /* Source names that contributed to each model */
+    lastError, /* Explain a rejected refresh, empty when at least one source loaded */
+    warnings: globalThis.GuidelineValidator.validate(data).warnings, /* Keep non-fatal validation notices */
+    lastDiff /* Describe what this refresh changed, null after a cache fallback */
   }; /* End assignment */
 
   /* Install prompt engines using the loaded guidelines */
-  window.PromptEngines.installFromGuidelines(data); /* Build and register model-specific builders */
+  globalThis.PromptEngines.installFromGuidelines(data); /* Build and register model-specific builders */
 
   /* Expose models array for use in the main app */
-  window.GlobalGuidelines.models = data.models || []; /* Store model list globally */
+  globalThis.GlobalGuidelines.models = data.models || []; /* Store model list globally */
 
   /* Return the loaded data to the caller for UI refreshing */
   return data; /* Provide the full guidelines data back to invoker */
 } /* End loadGuidelines */
 
-/* Auto-update scheduler to periodically refresh guidelines from the configured source */
+/* Helper: wait the full interval, or less when a failed source is due for a retry sooner */
+function nextUpdateDelay(intervalMs) { /* Define delay calculation shared by the first and later ticks */
+  const retries = (globalThis.GlobalGuidelines.sources || []).map(s => s.nextAttempt).filter(Boolean); /* Pending retries */
+  return retries.length ? Math.min(intervalMs, Math.max(RETRY_BACKOFF.BASE_MS, Math.min(...retries) - Date.now())) : intervalMs; /* Retry early when a source failed */
+} /* End nextUpdateDelay */
+
+/* Auto-update scheduler that refreshes on the interval and retries failed sources sooner with backoff */
 function scheduleAutoUpdate(minutes, onUpdate) { /* Define scheduler with minutes and callback */
   const intervalMs = Math.max(5, Number(minutes) || 60) * 60 * 1000; /* Convert minutes to milliseconds with a minimum bound */
-  window.clearInterval(window.__guidelinesInterval); /* Clear any existing interval to prevent duplicates */
-  window.__guidelinesInterval = window.setInterval(async () => { /* Start a new repeating interval */
-    const data = await loadGuidelines(); /* Reload guidelines on each tick */
-    onUpdate && onUpdate(data); /* Invoke callback to refresh UI if provided */
-  }, intervalMs); /* Use calculated interval length */
+  globalThis.clearTimeout(globalThis.__guidelinesTimer); /* Clear any pending tick to prevent duplicates */
+  const tick = async () => { /* Run one refresh and plan the next */
+    try { /* Try block so one failed tick does not stop the schedule */
+      const data = await loadGuidelines(); /* Reload guidelines, skipping sources that are backing off */
+      onUpdate && onUpdate(data); /* Invoke callback to refresh UI if provided */
+    } catch (err) { /* Catch total failures */
+      globalThis.GlobalGuidelines.lastError = err.message; /* Keep the previous guidelines and report the failure */
+      onUpdate && onUpdate(null); /* Let the UI show the status */
+    }
+    globalThis.__guidelinesTimer = globalThis.setTimeout(tick, nextUpdateDelay(intervalMs)); /* Plan the next tick */
+  }; /* End tick */
+  globalThis.__guidelinesTimer = globalThis.setTimeout(tick, nextUpdateDelay(intervalMs)); /* Start the schedule, retrying startup failures early */
 } /* End scheduleAutoUpdate */
 
-/* Export functions to the global window for usage in app.js */
-window.GuidelineUpdater = { loadGuidelines, scheduleAutoUpdate }; /* Attach loader and scheduler to a global object */
+/* Export functions to the global object for usage in app.js */
+globalThis.GuidelineUpdater = { /* Attach loader, scheduler and source settings to a global object */
+  loadGuidelines, /* Load and merge every source */
+  scheduleAutoUpdate, /* Periodic refresh with backoff */
+  bundledSource: BUNDLED_SOURCE, /* Bottom layer shown in settings */
+  readSources: readGuidelineSources, /* Extra sources in priority order */
+  writeSources: writeGuidelineSources, /* Save extra sources */
+  mergeLayers: mergeGuidelineLayers, /* Merge one guidelines layer over another */
+  assertLayer: assertGuidelineLayer, /* Check that a layer can be merged */
+  assertValid: assertValidGuidelines /* Check a merged document against the schema */
+}; /* End updater API */
+if (typeof module !== "undefined" && module.exports) module.exports = globalThis.GuidelineUpdater; /* Also export it for require() from Node scripts; loading and scheduling still need browser storage */
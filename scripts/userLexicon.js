@@ -0,0 +1,151 @@
+/* User lexicon stored in localStorage, scoped globally or per model, merged over guideline lexicons at build time */
+"use strict"; /* Enforce strict mode for safer JavaScript */
+
+/* Persistent key for user-added Korean→English entries */
+const USER_LEXICON_KEY = "lexicon.user"; /* Key name for saving the user lexicon */
+
+/* Format marker written into exported JSON files so imports can recognize them */
+const USER_LEXICON_FORMAT = "prompt-hub-lexicon"; /* Identifier for exported lexicon files */
+
+/* Scope name for entries that apply to every model */
+const GLOBAL_SCOPE = "global"; /* Scope used in CSV files and the manager UI */
+
+/* Label shown for the global scope in the manager; CSV files edited by hand may contain it too */
+const GLOBAL_SCOPE_LABEL = "전체"; /* Korean label for every model */
+
+/* Read the saved user lexicon as { global, models }, upgrading the older flat format */
+function readUserLexiconStore() { /* Define store reader */
+  const raw = localStorage.getItem(USER_LEXICON_KEY); /* Read the stored JSON string */
+  let data = null; /* Parsed value */
+  try { data = raw ? JSON.parse(raw) : null; } catch { data = null; } /* Parse the JSON and ignore corrupt entries */
+  if (data && data.version === 2) return { version: 2, global: data.global || {}, models: data.models || {} }; /* Current format */
+  return { version: 2, global: data && typeof data === "object" ? data : {}, models: {} }; /* Flat format entries were global */
+} /* End readUserLexiconStore */
+
+/* Persist the whole store */
+function writeUserLexiconStore(store) { /* Define store writer */
+  localStorage.setItem(USER_LEXICON_KEY, JSON.stringify(store)); /* Save the JSON string */
+} /* End writeUserLexiconStore */
+
+/* Helper: return the entry map for a scope, creating it when asked */
+function scopeEntries(store, scope, create) { /* Define scope accessor */
+  if (!scope || scope === GLOBAL_SCOPE) return store.global; /* Global entries */
+  if (!store.models[scope] && create) store.models[scope] = {}; /* Create the model map on first write */
+  return store.models[scope] || {}; /* Model entries or an empty map */
+} /* End scopeEntries */
+
+/* Read the user lexicon for a model: per-model entries override global user entries */
+function readUserLexicon(modelId) { /* Define reader used by builders */
+  const store = readUserLexiconStore(); /* Load the store */
+  return Object.assign({}, store.global, modelId ? store.models[modelId] || {} : {}); /* Merge global then model entries */
+} /* End readUserLexicon */
+
+/* List every entry as { scope, term, english } rows sorted by scope and term */
+function listUserLexiconEntries() { /* Define flat listing */
+  const store = readUserLexiconStore(); /* Load the store */
+  const rows = Object.entries(store.global).map(([term, english]) => ({ scope: GLOBAL_SCOPE, term, english })); /* Global rows */
+  Object.entries(store.models).forEach(([scope, entries]) => { /* Walk model scopes */
+    Object.entries(entries).forEach(([term, english]) => rows.push({ scope, term, english })); /* Model rows */
+  }); /* End scope loop */
+  return rows.sort((a, b) => a.scope.localeCompare(b.scope) || a.term.localeCompare(b.term)); /* Stable order for the manager */
+} /* End listUserLexiconEntries */
+
+/* Add or replace one Korean→English entry in a scope and persist the lexicon */
+function addUserLexiconEntry(term, english, scope) { /* Define writer for a single entry */
+  const key = String(term || "").trim(); /* Normalize the Korean term */
+  const value = String(english || "").trim(); /* Normalize the English translation */
+  if (!key || !value) return false; /* Ignore incomplete entries */
+  const store = readUserLexiconStore(); /* Load the current lexicon */
+  scopeEntries(store, scope, true)[key] = value; /* Set the entry */
+  writeUserLexiconStore(store); /* Persist the updated lexicon */
+  return true; /* Report success */
+} /* End addUserLexiconEntry */
+
+/* Delete one entry from a scope */
+function removeUserLexiconEntry(term, scope) { /* Define delete */
+  const store = readUserLexiconStore(); /* Load the current lexicon */
+  const entries = scopeEntries(store, scope, false); /* Find the scope's entries */
+  delete entries[term]; /* Remove the term */
+  if (scope && scope !== GLOBAL_SCOPE && !Object.keys(entries).length) delete store.models[scope]; /* Drop empty model scopes */
+  writeUserLexiconStore(store); /* Persist the updated lexicon */
+} /* End removeUserLexiconEntry */
+
+/* Export the user lexicon as JSON text */
+function exportUserLexiconJson() { /* Define JSON export */
+  const store = readUserLexiconStore(); /* Load the store */
+  return JSON.stringify({ format: USER_LEXICON_FORMAT, global: store.global, models: store.models }, null, 2); /* Pretty-print with a format marker */
+} /* End exportUserLexiconJson */
+
+/* Export the user lexicon as CSV text with scope, term and english columns */
+function exportUserLexiconCsv() { /* Define CSV export */
+  const cell = window.BatchConverter.csvCell; /* Reuse the batch CSV cell encoder */
+  const lines = ["scope,term,english"].concat(listUserLexiconEntries().map(row => [row.scope, row.term, row.english].map(cell).join(","))); /* Header and one line per entry */
+  return "\uFEFF" + lines.join("\r\n") + "\r\n"; /* Add a byte order mark so spreadsheets read Korean correctly */
+} /* End exportUserLexiconCsv */
+
+/* Import entries from exported JSON, a plain { term: english } object, or CSV, and return the number added */
+function importUserLexicon(fileName, text) { /* Define import for both formats */
+  const rows = []; /* Collect { scope, term, english } rows */
+  if (/\.csv$/i.test(fileName || "")) { /* CSV by extension */
+    window.BatchConverter.parseCsv(text).forEach(row => { /* Read CSV rows */
+      const scope = String(row.scope || "").trim(); /* Normalize the scope cell */
+      rows.push({ scope: !scope || scope === GLOBAL_SCOPE_LABEL ? GLOBAL_SCOPE : scope, term: row.term, english: row.english }); /* Blank and displayed labels mean global */
+    }); /* End CSV row loop */
+  } else { /* Otherwise expect JSON */
+    const data = JSON.parse(text); /* Parse the file contents */
+    if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error("Lexicon file must be a JSON object."); /* Reject unrelated files */
+    const global = data.format === USER_LEXICON_FORMAT ? data.global || {} : data; /* Plain objects are global entries */
+    Object.entries(global).forEach(([term, english]) => rows.push({ scope: GLOBAL_SCOPE, term, english })); /* Global rows */
+    if (data.format === USER_LEXICON_FORMAT) Object.entries(data.models || {}).forEach(([scope, entries]) => { /* Model scopes */
+      Object.entries(entries || {}).forEach(([term, english]) => rows.push({ scope, term, english })); /* Model rows */
+    }); /* End scope loop */
+  }
+  const store = readUserLexiconStore(); /* Load the current lexicon */
+  let count = 0; /* Count accepted rows */
+  rows.forEach(row => { /* Merge each row */
+    const term = String(row.term || "").trim(); /* Normalize the term */
+    const english = String(row.english || "").trim(); /* Normalize the translation */
+    if (!term || !english) return; /* Skip incomplete rows */
+    scopeEntries(store, row.scope, true)[term] = english; /* Set the entry */
+    count += 1; /* Count it */
+  }); /* End row loop */
+  writeUserLexiconStore(store); /* Persist the merged lexicon */
+  return count; /* Report how many entries were imported */
+} /* End importUserLexicon */
+
+/* Find user entries that shadow a guideline term with a different translation */
+function findUserLexiconConflicts(guidelines) { /* Define conflict detection against loaded guidelines */
+  const store = readUserLexiconStore(); /* Load the store */
+  const globalLexicon = (guidelines && guidelines.lexicon) || {}; /* Guideline-wide lexicon */
+  const models = (guidelines && guidelines.models) || []; /* Guideline models with their lexicons */
+  const conflicts = []; /* Collect conflicts */
+  const check = (scope, term, user, source, guideline) => { /* Record a conflict when translations differ */
+    if (guideline !== undefined && guideline !== user) conflicts.push({ scope, term, user, source, guideline }); /* Same term, different meaning */
+  }; /* End check */
+  Object.entries(store.global).forEach(([term, user]) => { /* Global user entries affect every model */
+    check(GLOBAL_SCOPE, term, user, GLOBAL_SCOPE, globalLexicon[term]); /* Compare with the guideline-wide lexicon */
+    models.forEach(model => check(GLOBAL_SCOPE, term, user, model.id, (model.lexicon || {})[term])); /* Compare with every model lexicon */
+  }); /* End global loop */
+  Object.entries(store.models).forEach(([scope, entries]) => { /* Model user entries affect one model */
+    const model = models.find(m => m.id === scope); /* Find the matching guideline model */
+    Object.entries(entries).forEach(([term, user]) => { /* Walk the scope's entries */
+      check(scope, term, user, GLOBAL_SCOPE, globalLexicon[term]); /* Compare with the guideline-wide lexicon */
+      if (model) check(scope, term, user, scope, (model.lexicon || {})[term]); /* Compare with the model lexicon */
+    }); /* End entry loop */
+  }); /* End scope loop */
+  return conflicts; /* Provide every conflict */
+} /* End findUserLexiconConflicts */
+
+/* Export lexicon helpers to the global window for usage in promptEngines.js and app.js */
+window.UserLexicon = { /* Attach user lexicon API to a global object */
+  GLOBAL_SCOPE, /* Scope name for entries that apply to every model */
+  GLOBAL_SCOPE_LABEL, /* Label shown for the global scope */
+  read: readUserLexicon, /* Merged user entries for a model */
+  list: listUserLexiconEntries, /* Every entry with its scope */
+  add: addUserLexiconEntry, /* Add or replace an entry */
+  remove: removeUserLexiconEntry, /* Delete an entry */
+  exportJson: exportUserLexiconJson, /* Export as JSON */
+  exportCsv: exportUserLexiconCsv, /* Export as CSV */
+  importFile: importUserLexicon, /* Import JSON or CSV */
+  conflicts: findUserLexiconConflicts /* Compare with loaded guidelines */
+}; /* End user lexicon API */
@@ -0,0 +1,145 @@
+/* Tests for the prompt core against the bundled guidelines; run with node --test */
+"use strict"; /* Enforce strict mode for safer JavaScript */
+
+const test = require("node:test"); /* Built-in test runner */
+const assert = require("node:assert/strict"); /* Strict assertions */
+const fs = require("fs"); /* Read the page for its placeholder example */
+const path = require("path"); /* Resolve files next to the scripts */
+const PromptEngines = require("../scripts/promptEngines.js"); /* Parsers, translator and builder factories */
+const GuidelineValidator = require("../scripts/guidelineValidator.js"); /* Schema checks and the change diff */
+const GuidelineUpdater = require("../scripts/updateManager.js"); /* Layer merging */
+const BatchConverter = require("../scripts/batchConverter.js"); /* CSV and JSONL batch rows */
+const PromptHistory = require("../scripts/historyStore.js"); /* History import checks; saving needs IndexedDB */
+const guidelines = require("../assets/models.json"); /* Bundled guidelines */
+
+const { SlotParser, StoryboardParser, MiniTranslator, createBuilder, createStoryboardBuilder } = PromptEngines; /* Pieces under test */
+const model = (id) => guidelines.models.find(m => m.id === id); /* Look up a bundled model record */
+
+test("SlotParser reads duration hints and skips decades and years", () => { /* Duration heuristics */
+  assert.equal(SlotParser.parse("유리병 클로즈업 3초").duration, 3); /* Korean unit */
+  assert.equal(SlotParser.parse("bottle 2.5s").duration, 2.5); /* Decimal with s */
+  assert.equal(SlotParser.parse("80s style 유리병").duration, 4); /* A decade falls back to the default */
+  assert.equal(SlotParser.parse("1990s 무드, 5초").duration, 5); /* The year is skipped and the real hint is found */
+}); /* End SlotParser test */
+
+test("SlotParser keeps the duration hint out of the slot text", () => { /* Hint stripping */
+  const slots = SlotParser.parse("유리병 8초, 아침 햇살"); /* Hint inside the first segment */
+  assert.equal(slots.duration, 8); /* The hint is still read */
+  assert.equal(slots.subject, "유리병"); /* But removed from the subject */
+  const prompt = createBuilder(model("kling"), guidelines.lexicon)("유리병 8초, 아침 햇살", "text-to-video", {}); /* Build a full prompt */
+  assert.ok(!/8초/.test(prompt.full), prompt.full); /* No raw hint in any slot */
+  assert.ok(!prompt.translation.leftovers.some(item => /초/.test(item.word)), "hint reported as untranslated"); /* Not offered as a leftover */
+}); /* End hint stripping test */
+
+test("SlotParser maps segments to slots", () => { /* Segment heuristics */
+  const slots = SlotParser.parse("유리병 제품, 대리석 위, 아침 햇살"); /* Three segments */
+  assert.equal(slots.subject, "유리병 제품"); /* First segment */
+  assert.equal(slots.environment, "대리석 위"); /* Second segment */
+  assert.equal(slots.lighting, "아침 햇살"); /* Lighting keyword */
+}); /* End slot mapping test */
+
+test("StoryboardParser splits the page's placeholder example into several shots", () => { /* Mid-line markers */
+  const html = fs.readFileSync(path.join(__dirname, "..", "index.html"), "utf8"); /* Read the page */
+  const placeholder = html.match(/id="textarea-korean"[^>]*placeholder="([^"]*)"/)[1].replace(/&#10;/g, "\n"); /* Decode the example text */
+  const shots = StoryboardParser.split(placeholder); /* Split into shots */
+  assert.ok(shots.length >= 3, `expected several shots, got ${shots.length}`); /* Intro plus the two numbered shots */
+  assert.deepEqual(shots.slice(-2), ["유리병 클로즈업 줌인 3초", "물방울이 흐르는 패닝 4초"]); /* Numbered shots on one line */
+  assert.deepEqual(StoryboardParser.split("샷1 유리병 → 샷 2 물방울"), ["유리병", "물방울"]); /* Markers after an arrow */
+}); /* End storyboard split test */
+
+test("MiniTranslator.analyze translates words, phrases and compounds", () => { /* Translation pipeline */
+  const lexicon = { "유리병": "glass bottle", "스킨케어": "skincare", "제품": "product", "이": "two" }; /* Small lexicon */
+  const result = MiniTranslator.analyze("유리병과 스킨케어제품을", lexicon); /* Particles and a compound */
+  assert.equal(result.text, "glass bottle skincare product"); /* Particles are dropped */
+  assert.deepEqual(result.spans.map(s => [s.key, s.start]), [["유리병", 0], ["스킨케어", 5], ["제품", 9]]); /* Spans point into the source */
+  assert.equal(MiniTranslator.analyze("오이를", lexicon).text, "오이를"); /* One-syllable keys do not break words */
+  assert.deepEqual(MiniTranslator.analyze("맑은 과", lexicon).leftovers.map(l => l.stem), ["맑"]); /* Bare particles are not suggested */
+}); /* End translator test */
+
+test("createBuilder fills every bundled template for every engine", () => { /* Templates against the bundled file */
+  guidelines.models.forEach(record => { /* Every model */
+    const build = createBuilder(record, guidelines.lexicon); /* Compile the template */
+    record.engines.forEach(engine => { /* Every supported engine */
+      const result = build("맑은 유리병 스킨케어 제품 광고, 아침 햇살", engine, { aspect: "3:4", stylize: 50, seed: "42" }); /* Build a prompt */
+      assert.ok(result.full.length > 0, `${record.id} ${engine} is empty`); /* Something was rendered */
+      assert.ok(!/[{}]/.test(result.full), `${record.id} ${engine} left a placeholder: ${result.full}`); /* No raw placeholders */
+      assert.match(result.full, /skincare product/); /* Lexicon terms were applied */
+    }); /* End engine loop */
+  }); /* End model loop */
+}); /* End builder test */
+
+test("createBuilder resolves parameters and clamps durations to the model's shot limit", () => { /* Parameters and limits */
+  const midjourney = createBuilder(model("midjourney"), guidelines.lexicon)("유리병", "text-to-image", { aspect: "3:4", seed: "42" }); /* Image model */
+  assert.match(midjourney.params, /--ar 3:4/); /* Aspect flag */
+  assert.match(midjourney.params, /--seed 42/); /* Seed flag */
+  const kling = model("kling"); /* Video model with a shot limit */
+  const clip = createBuilder(kling, guidelines.lexicon)("유리병 20초", "text-to-video", {}); /* Too long for one shot */
+  assert.equal(clip.slots.duration, String(kling.storyboard.maxShotSeconds)); /* Clamped to the limit */
+  assert.deepEqual(clip.warnings, [{ message: `Duration 20s shortened to ${kling.storyboard.maxShotSeconds}s.` }]); /* The adjustment is reported without a parameter */
+  const ratio = createBuilder(kling, guidelines.lexicon)("유리병", "text-to-video", { aspect: "4:3" }); /* Ratio the model does not allow */
+  assert.deepEqual(ratio.warnings.map(w => w.param), ["aspect"]); /* Parameter notes share the list and name their input */
+}); /* End parameter test */
+
+test("createStoryboardBuilder keeps the custom guideline out of the shots", () => { /* Guideline option */
+  const board = createStoryboardBuilder(model("kling"), guidelines.lexicon)("1. 유리병 3초 2. 물방울 4초", "text-to-video", { guideline: "제품 광고" }); /* Two shots with rules */
+  assert.equal(board.shots.length, 2); /* Rules did not become a shot */
+  assert.equal(board.totalSeconds, 7); /* Durations were read per shot */
+  assert.match(board.full, /product advertisement/); /* Rules still appear in the output */
+}); /* End storyboard builder test */
+
+test("GuidelineValidator.diff reports parameter, engine, name and version changes", () => { /* Diff coverage */
+  const next = JSON.parse(JSON.stringify(guidelines)); /* Edited copy of the bundled file */
+  const kling = next.models.find(m => m.id === "kling"); /* Model to edit */
+  kling.params.aspectKey = "--ratio"; /* New flag */
+  kling.params.seed = { type: "integer", min: 0, max: 99 }; /* New schema */
+  kling.engines = ["text-to-video"]; /* Dropped engine */
+  kling.latest = "9.9"; /* New version */
+  const diff = GuidelineValidator.diff(guidelines, next); /* Compare */
+  assert.equal(diff.hasChanges, true); /* The refresh is not reported as unchanged */
+  const change = diff.changedModels.find(c => c.id === "kling"); /* Kling's edits */
+  assert.deepEqual(Object.keys(change.params).sort(), ["aspectKey", "seed"]); /* Both parameter edits */
+  assert.deepEqual(change.engines.removed, ["image-to-video"]); /* Engine edit */
+  assert.equal(change.latest.to, "9.9"); /* Version edit */
+  assert.match(GuidelineValidator.formatDiff(diff), /~ param aspectKey: --ar → --ratio/); /* Shown in the change log */
+  assert.equal(GuidelineValidator.diff(guidelines, JSON.parse(JSON.stringify(guidelines))).hasChanges, false); /* Identical files stay unchanged */
+}); /* End diff test */
+
+test("GuidelineUpdater.mergeLayers merges params, lexicon and storyboard key by key", () => { /* Partial layers */
+  const layer = { version: "team", models: [{ id: "kling", params: { aspectKey: "--ratio" }, lexicon: { "새": "new" }, storyboard: { maxShotSeconds: 10 } }] }; /* One-field overrides */
+  const merged = GuidelineUpdater.mergeLayers(GuidelineUpdater.mergeLayers(null, guidelines), layer); /* Bundled file, then the layer */
+  const before = model("kling"); /* Bundled record */
+  const after = merged.models.find(m => m.id === "kling"); /* Merged record */
+  assert.equal(after.params.aspectKey, "--ratio"); /* Layer value wins */
+  assert.deepEqual(after.params.seed, before.params.seed); /* Other params survive */
+  assert.equal(after.lexicon["새"], "new"); /* Added term */
+  assert.equal(after.storyboard.shotTemplate, before.storyboard.shotTemplate); /* Other storyboard settings survive */
+  assert.equal(after.storyboard.maxShotSeconds, 10); /* Layer limit wins */
+  assert.equal(before.params.aspectKey, "--ar"); /* The lower layer is not modified */
+  GuidelineUpdater.assertValid(merged, "test"); /* The merged file still validates */
+}); /* End merge test */
+
+test("BatchConverter reads mixed-case JSONL keys like CSV headers", () => { /* Key normalization */
+  globalThis.GlobalGuidelines = { models: guidelines.models }; /* Models the batch runner checks rows against */
+  PromptEngines.installFromGuidelines(guidelines); /* Builders the batch runner uses */
+  const jsonl = BatchConverter.parse("rows.jsonl", '{"Text": "유리병 제품", "Model": "kling", " ENGINE ": "text-to-video"}\n'); /* Mixed-case keys */
+  const csv = BatchConverter.parse("rows.csv", "Text,Model,Engine\n유리병 제품,kling,text-to-video\n"); /* Same row as CSV */
+  assert.deepEqual(jsonl, csv); /* Both formats produce the same row */
+  const [result] = BatchConverter.run(jsonl, { model: "midjourney", engine: "text-to-image" }); /* Convert with other defaults */
+  assert.equal(result.status, "ok", result.error); /* The row converted */
+  assert.equal(result.model, "kling"); /* The row's model was used, not the default */
+  assert.match(result.prompt, /product/); /* The row's text was used */
+}); /* End batch key test */
+
+test("PromptHistory.parseImport checks every entry before anything is saved", () => { /* Import validation */
+  const file = JSON.stringify({ format: "prompt-hub-history", entries: [ /* Exported file with bad entries in the middle */
+    { sourceText: "유리병", result: { full: "glass bottle" } }, /* Good */
+    null, /* Not an object */
+    { sourceText: "립스틱" }, /* No prompt */
+    { sourceText: "향수", result: { full: "perfume" }, createdAt: "yesterday" }, /* Bad date */
+    { sourceText: "크림", result: { full: "cream" }, tags: ["hero"] } /* Good */
+  ] }); /* End file */
+  const { entries, skipped } = PromptHistory.parseImport(file); /* Validate without saving */
+  assert.deepEqual(entries.map(e => e.sourceText), ["유리병", "크림"]); /* Good entries are normalized and kept */
+  assert.deepEqual(skipped.map(s => s.index), [2, 3, 4]); /* Bad entries are reported by position */
+  assert.throws(() => PromptHistory.parseImport(JSON.stringify({ entries: [] })), /Not a prompt history export file/); /* Unrelated files are rejected */
+}); /* End history import test */